@@ -1,6 +1,12 @@
 // Background service worker for AI Tab Session Manager
 // Utility scripts are loaded via manifest.json
 
+// All storage writes run here, including those other pages send over
+StorageService.isWriter = true;
+
+const SAVE_SESSION_MENU_ID = 'save-session';
+const SAVE_AND_CLOSE_MENU_ID = 'save-and-close';
+
 // Initialize extension
 chrome.runtime.onInstalled.addListener(() => {
   console.log('AI Tab Session Manager installed');
@@ -8,40 +14,171 @@ chrome.runtime.onInstalled.addListener(() => {
   // Set default settings
   chrome.storage.local.get(['settings'], (result) => {
     if (!result.settings) {
-      const defaultSettings = {
-        aiProvider: 'anthropic',
-        model: 'claude-3-haiku-20240307',
-        searchSensitivity: 7,
-        autoContext: true
-      };
-      chrome.storage.local.set({ settings: defaultSettings });
+      chrome.storage.local.set({ settings: { ...DEFAULT_SETTINGS } });
     }
   });
+
+  buildSearchIndex();
+
+  // Right-click menu on the toolbar button and on pages
+  chrome.contextMenus.create({
+    id: SAVE_SESSION_MENU_ID,
+    title: 'Save tab session',
+    contexts: ['action', 'page']
+  });
+  chrome.contextMenus.create({
+    id: SAVE_AND_CLOSE_MENU_ID,
+    title: 'Save tab session and close tabs',
+    contexts: ['action', 'page']
+  });
+});
+
+// Keyboard shortcut (see "commands" in manifest.json)
+chrome.commands.onCommand.addListener((command) => {
+  if (command === 'save-session') {
+    saveSessionFromShortcut();
+  }
 });
 
+chrome.contextMenus.onClicked.addListener((info) => {
+  if (info.menuItemId === SAVE_SESSION_MENU_ID) {
+    saveSessionFromShortcut();
+  } else if (info.menuItemId === SAVE_AND_CLOSE_MENU_ID) {
+    saveSessionFromShortcut({ closeTabs: true });
+  }
+});
+
+// Shortcut and menu saves have no popup to report back to, so flash the badge
+async function saveSessionFromShortcut(options) {
+  try {
+    await saveSession(options);
+    chrome.action.setBadgeText({ text: '✓' });
+  } catch (error) {
+    console.error('Error saving session from shortcut:', error);
+    chrome.action.setBadgeText({ text: '!' });
+  }
+  setTimeout(() => chrome.action.setBadgeText({ text: '' }), 2000);
+}
+
+// Build the full-text index for sessions saved before it existed
+async function buildSearchIndex() {
+  try {
+    await StorageService.getSearchIndex();
+  } catch (error) {
+    console.error('Error building search index:', error);
+  }
+}
+
+// Resume AI jobs left over from before the background script was unloaded
+startJobQueue();
+
+async function startJobQueue() {
+  try {
+    await StorageService.migrateLegacySessions();
+    await StorageService.upgradeStoredData();
+    await JobQueue.init(runContextJob);
+    await recoverStuckSessions();
+  } catch (error) {
+    console.error('Error starting AI job queue:', error);
+  }
+}
+
+// Sessions marked as generating without a job behind them (saved before the
+// queue existed) would otherwise spin forever
+async function recoverStuckSessions() {
+  const jobs = await JobQueue.getJobs();
+  const sessions = await StorageService.getSessionIndex();
+  const jobSessionIds = new Set(jobs.map(job => job.sessionId));
+
+  for (const session of sessions) {
+    if (session.generatingContext && !jobSessionIds.has(session.id)) {
+      await StorageService.updateSession(session.id, {
+        generatingContext: false,
+        generationStatus: 'Interrupted. Re-queue it from the session page.'
+      });
+    }
+  }
+}
+
+// Queue worker: generate context for the job's session as currently stored
+async function runContextJob(job, signal) {
+  const session = await StorageService.getSession(job.sessionId);
+
+  if (!session) {
+    console.log('Session was deleted, dropping AI job:', job.sessionId);
+    return;
+  }
+
+  const keepNativeGroups = (session.tabGroups || []).some(group => group.native);
+  await generateContextForSession(session.id, session.tabs, { signal, keepNativeGroups });
+}
+
+// URLs browsers don't allow extensions to open
+const ILLEGAL_URL_PREFIXES = [
+  'about:',
+  'chrome:',
+  'edge:',
+  'moz-extension:',
+  'chrome-extension:',
+  'firefox:',
+  'view-source:'
+];
+
+function isValidUrl(url) {
+  const lowerUrl = url.toLowerCase();
+  return !ILLEGAL_URL_PREFIXES.some(prefix => lowerUrl.startsWith(prefix));
+}
+
+// Most matching tabs returned per search result
+const MAX_TAB_HITS = 5;
+
+// Default cap on sessions sent to the AI ranker per search
+const DEFAULT_MAX_RANKED_SESSIONS = 30;
+
 // Listen for messages from popup or content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'captureSession') {
-    captureCurrentSession(request.sessionName)
+  if (request.action === 'storageWrite') {
+    StorageService.applyRemoteWrite(request.method, request.args)
+      .then(result => sendResponse({ result }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'saveSession') {
+    saveSession({ sessionName: request.sessionName, scope: request.scope, closeTabs: request.closeTabs === true })
       .then(sendResponse)
       .catch(error => sendResponse({ error: error.message }));
     return true; // Will respond asynchronously
   }
 
   if (request.action === 'restoreSession') {
-    restoreSession(request.sessionId)
+    restoreSession(request.sessionId, request.filter, request.mode, request.afterRestore)
       .then(sendResponse)
       .catch(error => sendResponse({ error: error.message }));
     return true;
   }
 
-  if (request.action === 'generateContext') {
-    generateContextForSession(request.sessionId, request.tabs)
+  if (request.action === 'generateContext' || request.action === 'requeueJob') {
+    JobQueue.enqueue(request.sessionId)
+      .then(job => sendResponse({ queued: true, jobId: job.id }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'cancelJob') {
+    JobQueue.cancel(request.sessionId)
       .then(sendResponse)
       .catch(error => sendResponse({ error: error.message }));
     return true;
   }
 
+  if (request.action === 'getJobStatus') {
+    JobQueue.getJobForSession(request.sessionId)
+      .then(job => sendResponse({ job }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
   if (request.action === 'searchSessions') {
     searchSessionsSemantically(request.query)
       .then(sendResponse)
@@ -49,157 +186,797 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === 'indexSession') {
+    indexSessionEmbedding(request.sessionId)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'rebuildSearchIndex') {
+    rebuildSearchIndexes()
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'openTab') {
+    openSingleTab(request.url, request.cookieStoreId)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'restoreWithNativeGroups') {
+    restoreSessionWithNativeGroups(request.sessionId, request.filter, request.afterRestore)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
   if (request.action === 'restoreWithContainers') {
-    restoreSessionWithContainers(request.sessionId)
+    restoreSessionWithContainers(request.sessionId, request.filter, request.afterRestore)
       .then(sendResponse)
       .catch(error => sendResponse({ error: error.message }));
     return true;
   }
 });
 
-// Capture all tabs from all windows
-async function captureCurrentSession(sessionName = '') {
+// Capture the current tabs, persist the session and queue its AI work.
+// The only way sessions get saved: the popup sends the saveSession message,
+// and the keyboard shortcut and context menu call this directly.
+// scope picks the tabs (see getScopedWindows). With closeTabs, the captured
+// tabs are closed once the session is stored.
+async function saveSession({ sessionName = '', scope = null, closeTabs = false } = {}) {
+  const { session, browserTabs } = await captureCurrentSession(sessionName, scope);
+  await StorageService.addSession(session);
+
+  const settings = await StorageService.getSettings();
+  if (settings.autoContext) {
+    // Context generation also embeds the session once it has a description
+    await JobQueue.enqueue(session.id);
+  } else {
+    // Embed the tab titles right away so semantic search can find it
+    indexSessionEmbedding(session.id).catch(error => {
+      console.warn('Failed to embed session:', error);
+    });
+  }
+
+  const closedTabs = closeTabs ? await closeCapturedTabs(browserTabs, settings) : 0;
+  return { ...session, closedTabs };
+}
+
+// Close the browser tabs a session was captured from. Pinned tabs stay open
+// unless closePinnedTabs is set, and so do pages restore can't reopen. If
+// that would close every window, a new tab is left behind.
+async function closeCapturedTabs(browserTabs, settings) {
+  const toClose = browserTabs
+    .filter(tab => settings.closePinnedTabs || !tab.pinned)
+    .filter(tab => tab.url && isValidUrl(tab.url))
+    .map(tab => tab.id);
+
+  if (toClose.length === 0) {
+    return 0;
+  }
+
+  const closing = new Set(toClose);
+  const openTabs = await chrome.tabs.query({});
+  if (openTabs.every(tab => closing.has(tab.id))) {
+    await chrome.tabs.create({ active: true });
+  }
+
+  await chrome.tabs.remove(toClose);
+  return toClose.length;
+}
+
+// Capture the tabs picked by scope (see getScopedWindows). Returns
+// { session, browserTabs } where browserTabs are the captured browser tabs in
+// the session's tab order.
+async function captureCurrentSession(sessionName = '', scope = null) {
   try {
     const settings = await StorageService.getSettings();
-    const multiWindow = settings.multiWindow !== false; // Default to true
-
-    let allTabs;
-    let windows = [];
-
-    if (multiWindow) {
-      // Get all windows and their tabs
-      const allWindows = await chrome.windows.getAll({ populate: true });
-      windows = allWindows.map(window => ({
-        id: window.id,
-        focused: window.focused,
-        type: window.type,
-        tabCount: window.tabs.length
-      }));
-
-      allTabs = allWindows.flatMap((window, windowIndex) =>
-        window.tabs.map(tab => ({
-          url: tab.url,
-          title: tab.title,
-          favIconUrl: tab.favIconUrl,
-          index: tab.index,
-          windowIndex: windowIndex,
-          windowId: window.id,
-          active: tab.active
-        }))
-      );
-    } else {
-      // Only current window (old behavior)
-      const tabs = await chrome.tabs.query({ currentWindow: true });
-      allTabs = tabs.map(tab => ({
-        url: tab.url,
-        title: tab.title,
-        favIconUrl: tab.favIconUrl,
-        index: tab.index,
-        windowIndex: 0
-      }));
+    // Without a scope, the multiWindow setting picks all windows or the current one
+    const captureScope = scope || { type: settings.multiWindow !== false ? 'allWindows' : 'currentWindow' };
+    const { browserWindows, label } = await getScopedWindows(captureScope);
+
+    if (browserWindows.length === 0) {
+      throw new Error('No tabs to save in the chosen scope');
     }
 
+    const windows = browserWindows.map(captureWindow);
+    const rawTabs = browserWindows.flatMap(window => window.tabs);
+    const allTabs = browserWindows.flatMap((window, windowIndex) =>
+      window.tabs.map(tab => captureTab(tab, windowIndex)));
+
     const session = {
+      schemaVersion: SESSION_SCHEMA_VERSION,
       id: Date.now().toString(),
-      name: sessionName || `Session ${new Date().toLocaleString()}`,
+      name: sessionName || `${label || 'Session'} ${new Date().toLocaleString()}`,
       tabs: allTabs,
       windows: windows,
       timestamp: Date.now(),
       tabCount: allTabs.length,
-      windowCount: multiWindow ? windows.length : 1
+      windowCount: windows.length
     };
 
-    return session;
+    const containers = await captureContainers(allTabs);
+    if (containers.length > 0) {
+      session.containers = containers;
+    }
+
+    const nativeGroups = await captureNativeGroups(rawTabs);
+    if (nativeGroups.length > 0) {
+      session.tabGroups = nativeGroups;
+    }
+
+    return { session, browserTabs: rawTabs };
   } catch (error) {
     console.error('Error capturing session:', error);
     throw error;
   }
 }
 
-// Restore a session
-async function restoreSession(sessionId) {
+// Which tabs a restore covers. filter can name a group (groupIndex), a
+// window (windowIndex) and/or a hand-picked list of 1-based tabIndices; a tab
+// has to match all of them. No filter means every tab.
+function getRestoreTabIndices(session, filter = {}) {
+  const { groupIndex, windowIndex, tabIndices } = filter || {};
+  let indices = session.tabs.map((_, i) => i + 1);
+
+  if (Number.isInteger(groupIndex)) {
+    const group = (session.tabGroups || [])[groupIndex];
+    if (!group) {
+      throw new Error('Tab group not found');
+    }
+    const inGroup = new Set(group.tabIndices);
+    indices = indices.filter(idx => inGroup.has(idx));
+  }
+
+  if (Number.isInteger(windowIndex)) {
+    indices = indices.filter(idx => (session.tabs[idx - 1].windowIndex || 0) === windowIndex);
+  }
+
+  if (Array.isArray(tabIndices)) {
+    const chosen = new Set(tabIndices);
+    indices = indices.filter(idx => chosen.has(idx));
+  }
+
+  if (indices.length === 0) {
+    throw new Error('No tabs match the selection');
+  }
+  return indices;
+}
+
+// Which tabs a save covers:
+//   { type: 'allWindows' }                   every normal window
+//   { type: 'currentWindow' }                the last focused window
+//   { type: 'selected' }                     the highlighted tabs of that window
+//   { type: 'group', groupId }               one native tab group (Chrome/Edge)
+//   { type: 'domain', domain }               tabs on a domain or its subdomains
+// Returns { browserWindows, label } with the windows that still have tabs,
+// each with its matching tabs in on-screen order, and a default name prefix.
+async function getScopedWindows(scope) {
+  const current = await chrome.windows.getLastFocused({ populate: true, windowTypes: ['normal'] });
+  let populated;
+  let keepTab = () => true;
+  let label = null;
+
+  switch (scope.type) {
+    case 'allWindows':
+      populated = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+      break;
+    case 'currentWindow':
+      populated = [current];
+      break;
+    case 'selected':
+      populated = [current];
+      keepTab = tab => tab.highlighted;
+      break;
+    case 'group': {
+      if (!chrome.tabGroups) {
+        throw new Error('Native tab groups are only available in Chrome and Edge');
+      }
+      const group = await chrome.tabGroups.get(scope.groupId);
+      populated = [await chrome.windows.get(group.windowId, { populate: true })];
+      keepTab = tab => tab.groupId === group.id;
+      label = group.title || 'Tab group';
+      break;
+    }
+    case 'domain': {
+      const domain = String(scope.domain || '').trim().toLowerCase().replace(/^www\./, '');
+      if (!domain) {
+        throw new Error('No domain given');
+      }
+      populated = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+      // Same matching as the domain: search filter
+      keepTab = tab => QueryParser.hostMatchesDomain(QueryParser.getHostname(tab.url), domain);
+      label = domain;
+      break;
+    }
+    default:
+      throw new Error(`Unknown capture scope: ${scope.type}`);
+  }
+
+  const browserWindows = populated
+    .map(window => ({
+      ...window,
+      tabs: window.tabs.filter(keepTab).sort((a, b) => a.index - b.index)
+    }))
+    .filter(window => window.tabs.length > 0);
+
+  return { browserWindows, label };
+}
+
+// Everything needed to reopen a window as it was
+function captureWindow(window) {
+  return {
+    id: window.id,
+    focused: window.focused,
+    type: window.type,
+    state: window.state,
+    incognito: window.incognito,
+    left: window.left,
+    top: window.top,
+    width: window.width,
+    height: window.height,
+    tabCount: window.tabs.length
+  };
+}
+
+// Everything needed to reopen a tab as it was; tabs are kept in window order
+function captureTab(tab, windowIndex) {
+  return {
+    url: tab.url,
+    title: tab.title,
+    favIconUrl: tab.favIconUrl,
+    index: tab.index,
+    windowIndex,
+    windowId: tab.windowId,
+    active: tab.active,
+    pinned: tab.pinned,
+    mutedInfo: tab.mutedInfo ? { muted: tab.mutedInfo.muted } : undefined,
+    cookieStoreId: tab.cookieStoreId,
+    discarded: tab.discarded,
+    lastAccessed: tab.lastAccessed
+  };
+}
+
+// Native tab groups (Chrome/Edge) the captured tabs are in, as session
+// tabGroups that also keep the group's color and collapsed state.
+// rawTabs are the browser tabs in the same order as the session's tabs.
+async function captureNativeGroups(rawTabs) {
+  if (!chrome.tabGroups) {
+    return [];
+  }
+
+  const groups = new Map(); // native group id -> session group
+  for (let i = 0; i < rawTabs.length; i++) {
+    const groupId = rawTabs[i].groupId;
+    if (groupId === undefined || groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) continue;
+
+    if (!groups.has(groupId)) {
+      try {
+        const info = await chrome.tabGroups.get(groupId);
+        groups.set(groupId, {
+          // Untitled groups are allowed natively but every session group needs a name
+          name: info.title || `Group ${groups.size + 1}`,
+          color: info.color,
+          collapsed: info.collapsed,
+          native: true,
+          tabIndices: []
+        });
+      } catch (error) {
+        console.warn('Failed to read tab group:', groupId, error);
+        continue;
+      }
+    }
+    groups.get(groupId).tabIndices.push(i + 1);
+  }
+
+  return [...groups.values()];
+}
+
+// Restore a session, or the part of it picked by filter (see getRestoreTabIndices).
+// mode is one of RESTORE_MODES and defaults to the restoreMode setting;
+// afterRestore is one of AFTER_RESTORE_ACTIONS (see finishRestore).
+async function restoreSession(sessionId, filter, mode, afterRestore) {
   try {
-    const result = await chrome.storage.local.get(['sessions']);
-    const sessions = result.sessions || [];
-    const session = sessions.find(s => s.id === sessionId);
+    const session = await StorageService.getSession(sessionId);
 
     if (!session) {
       throw new Error('Session not found');
     }
 
-    // Filter out illegal URLs that browsers don't allow extensions to open
-    const illegalPrefixes = [
-      'about:',
-      'chrome:',
-      'edge:',
-      'moz-extension:',
-      'chrome-extension:',
-      'firefox:',
-      'view-source:'
-    ];
-
-    const isValidUrl = (url) => {
-      const lowerUrl = url.toLowerCase();
-      return !illegalPrefixes.some(prefix => lowerUrl.startsWith(prefix));
+    // Bad options are rejected before any tab is opened
+    const restoreMode = mode || (await StorageService.getSettings()).restoreMode || 'newWindow';
+    if (!RESTORE_MODES[restoreMode]) {
+      throw new Error(`Unknown restore mode: ${restoreMode}`);
+    }
+    const afterRestoreAction = await resolveAfterRestore(afterRestore);
+
+    const tabIndices = getRestoreTabIndices(session, filter);
+    const { restored, deduplicated, windowsRestored } = restoreMode === 'newWindow'
+      ? { ...(await openTabsInWindows(session, tabIndices)), deduplicated: 0 }
+      : await openTabsInCurrentWindow(session, tabIndices, { merge: restoreMode === 'merge' });
+
+    return {
+      success: true,
+      restored,
+      skipped: tabIndices.length - restored - deduplicated,
+      deduplicated,
+      windowsRestored,
+      afterRestore: await finishRestore(session, tabIndices, afterRestoreAction)
     };
+  } catch (error) {
+    console.error('Error restoring session:', error);
+    throw error;
+  }
+}
 
-    // Check if session has multiple windows
-    const hasMultipleWindows = session.windows && session.windows.length > 1;
-    let totalRestored = 0;
-    let totalSkipped = 0;
-
-    if (hasMultipleWindows) {
-      // Restore each window separately
-      for (let windowIndex = 0; windowIndex < session.windows.length; windowIndex++) {
-        const windowTabs = session.tabs.filter(tab => tab.windowIndex === windowIndex);
-        const validUrls = windowTabs
-          .map(tab => tab.url)
-          .filter(isValidUrl);
-
-        if (validUrls.length > 0) {
-          await chrome.windows.create({ url: validUrls });
-          totalRestored += validUrls.length;
-        }
-        totalSkipped += windowTabs.length - validUrls.length;
+// The after-restore action to use, defaulting to the afterRestore setting.
+// Called before opening any tabs so an invalid action fails the restore
+// instead of erroring after it happened.
+async function resolveAfterRestore(action) {
+  const chosen = action || (await StorageService.getSettings()).afterRestore || 'keep';
+  if (!AFTER_RESTORE_ACTIONS[chosen]) {
+    throw new Error(`Unknown after-restore action: ${chosen}`);
+  }
+  return chosen;
+}
+
+// Archive or delete a session once every one of its tabs has been restored,
+// so sessions that were reopened don't pile up. action comes from
+// resolveAfterRestore; partial restores always keep the session.
+// Returns the action taken.
+async function finishRestore(session, tabIndices, action) {
+  if (action === 'keep' || tabIndices.length < session.tabs.length) {
+    return 'keep';
+  }
+
+  if (action === 'delete') {
+    await StorageService.deleteSession(session.id);
+  } else {
+    await StorageService.updateSession(session.id, { archived: true, archivedAt: Date.now() });
+  }
+  return action;
+}
+
+// Open the given 1-based tab indices, one new window per saved window they
+// came from, recreating each window's geometry and each tab's pinned, muted
+// and active state. Large restores are lazy (see shouldRestoreLazily).
+// Returns { restored, windowsRestored, tabIds, lazy } where tabIds maps tab
+// index -> id of the opened tab.
+async function openTabsInWindows(session, tabIndices) {
+  const windowIndices = [...new Set(tabIndices.map(idx => session.tabs[idx - 1].windowIndex || 0))]
+    .sort((a, b) => a - b);
+  const tabIds = new Map();
+  const windowIds = new Map(); // saved windowIndex -> id of the window it was restored into
+  const containerCache = new Map();
+  const lazy = await shouldRestoreLazily(tabIndices.length);
+  let windowsRestored = 0;
+  let focusedWindowId = null;
+
+  for (const windowIndex of windowIndices) {
+    const validIndices = tabIndices.filter(idx => {
+      const tab = session.tabs[idx - 1];
+      return (tab.windowIndex || 0) === windowIndex && isValidUrl(tab.url);
+    });
+
+    if (validIndices.length === 0) continue;
+
+    const savedWindow = (session.windows || [])[windowIndex];
+    const windowTabs = validIndices.map(idx => session.tabs[idx - 1]);
+    let window;
+    let openedIds;
+
+    if (lazy || (chrome.contextualIdentities && windowTabs.some(isContainerTab))) {
+      // Container tabs and unloaded tabs have to be opened one at a time
+      ({ window, openedIds } = await openTabsOneByOne(session, windowTabs, savedWindow, containerCache, lazy));
+    } else {
+      window = await createWindow(savedWindow, { url: windowTabs.map(tab => tab.url) });
+      openedIds = (window.tabs || []).map(tab => tab.id);
+    }
+
+    validIndices.forEach((idx, i) => {
+      if (openedIds[i] !== undefined) {
+        tabIds.set(idx, openedIds[i]);
       }
+    });
+    await applyTabState(windowTabs, openedIds);
+    windowIds.set(windowIndex, window.id);
+
+    if (savedWindow && savedWindow.focused) {
+      focusedWindowId = window.id;
+    }
+    windowsRestored++;
+  }
+
+  if (windowsRestored === 0) {
+    throw new Error('No valid URLs to restore (all were protected browser pages)');
+  }
+
+  // The window that had focus when the session was saved ends up in front
+  if (focusedWindowId !== null) {
+    await chrome.windows.update(focusedWindowId, { focused: true }).catch(error => {
+      console.warn('Failed to focus restored window:', error);
+    });
+  }
+
+  const restored = tabIndices.filter(idx => isValidUrl(session.tabs[idx - 1].url)).length;
+  return { restored, windowsRestored, tabIds, windowIds, lazy };
+}
+
+// Lazy restore only loads the active tab of each window; the others stay
+// unloaded until they are clicked. Used for restores of at least
+// lazyRestoreThreshold tabs when the setting is on.
+async function shouldRestoreLazily(tabCount) {
+  const settings = await StorageService.getSettings();
+  if (!settings.lazyRestore) {
+    return false;
+  }
+  return tabCount >= (settings.lazyRestoreThreshold || DEFAULT_SETTINGS.lazyRestoreThreshold);
+}
+
+// Open the given 1-based tab indices at the end of the last focused window.
+// With merge, tabs whose URL is already open anywhere are skipped and the
+// open tab is focused instead. Returns { restored, deduplicated, windowsRestored }.
+async function openTabsInCurrentWindow(session, tabIndices, { merge = false } = {}) {
+  const targetWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+
+  const openTabs = new Map(); // normalized URL -> open tab
+  if (merge) {
+    for (const tab of await chrome.tabs.query({})) {
+      const key = normalizeUrlForDedup(tab.url || '');
+      if (!openTabs.has(key)) {
+        openTabs.set(key, tab);
+      }
+    }
+  }
+
+  const toOpen = [];
+  const duplicates = new Map(); // tab index -> already open tab
+  for (const idx of tabIndices) {
+    const tab = session.tabs[idx - 1];
+    if (!isValidUrl(tab.url)) continue;
+
+    const existing = openTabs.get(normalizeUrlForDedup(tab.url));
+    if (existing) {
+      duplicates.set(idx, existing);
+    } else {
+      toOpen.push(idx);
+    }
+  }
+
+  const savedTabs = toOpen.map(idx => session.tabs[idx - 1]);
+  const lazy = await shouldRestoreLazily(savedTabs.length);
+  const containerCache = new Map();
+  const openedIds = [];
+
+  for (const tab of savedTabs) {
+    const cookieStoreId = await resolveTabContainer(session, tab, containerCache);
+    const properties = { url: tab.url, windowId: targetWindow.id, active: false };
+    if (cookieStoreId) {
+      properties.cookieStoreId = cookieStoreId;
+    }
+    const created = lazy
+      ? await createUnloadedTab(properties, tab.title)
+      : await chrome.tabs.create(properties);
+    openedIds.push(created.id);
+  }
+
+  await applyTabState(savedTabs, openedIds);
+
+  // A tab that was active but is already open gets focused where it is
+  const activeIdx = tabIndices.find(idx => session.tabs[idx - 1].active && duplicates.has(idx));
+  const focusTab = activeIdx !== undefined
+    ? duplicates.get(activeIdx)
+    : (openedIds.length === 0 ? duplicates.values().next().value : null);
+  if (focusTab) {
+    await chrome.tabs.update(focusTab.id, { active: true });
+    await chrome.windows.update(focusTab.windowId, { focused: true });
+  }
+
+  if (openedIds.length === 0 && duplicates.size === 0) {
+    throw new Error('No valid URLs to restore (all were protected browser pages)');
+  }
+
+  return { restored: openedIds.length, deduplicated: duplicates.size, windowsRestored: 0 };
+}
+
+// Key for spotting the same page twice: no fragment, no trailing slash
+function normalizeUrlForDedup(url) {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${parsed.protocol}//${parsed.host}${path}${parsed.search}`;
+  } catch (error) {
+    return url.replace(/#.*$/, '').replace(/\/+$/, '');
+  }
+}
+
+// windows.create with the saved window's size, position, state and
+// incognito mode merged into createData
+async function createWindow(savedWindow, createData) {
+  const data = { ...createData };
+
+  if (savedWindow) {
+    if (savedWindow.state && savedWindow.state !== 'normal') {
+      // Browsers reject bounds together with maximized/minimized/fullscreen
+      data.state = savedWindow.state;
     } else {
-      // Single window restore
-      const validUrls = session.tabs
-        .map(tab => tab.url)
-        .filter(isValidUrl);
+      ['left', 'top', 'width', 'height'].forEach(key => {
+        if (Number.isInteger(savedWindow[key])) {
+          data[key] = savedWindow[key];
+        }
+      });
+    }
+    if (savedWindow.incognito) {
+      data.incognito = true;
+    }
+  }
+
+  try {
+    return await chrome.windows.create(data);
+  } catch (error) {
+    if (!data.incognito) {
+      throw error;
+    }
+    // Fails when the extension isn't allowed in private windows
+    console.warn('Could not open a private window, restoring as a normal one:', error);
+    delete data.incognito;
+    return chrome.windows.create(data);
+  }
+}
+
+// Pin and mute the opened tabs like the saved ones and activate the tab that
+// was active. openedIds[i] is the opened tab for savedTabs[i].
+async function applyTabState(savedTabs, openedIds) {
+  for (let i = 0; i < savedTabs.length; i++) {
+    const tab = savedTabs[i];
+    const updates = {};
+    if (tab.pinned) updates.pinned = true;
+    if (tab.mutedInfo && tab.mutedInfo.muted) updates.muted = true;
+
+    if (openedIds[i] !== undefined && Object.keys(updates).length > 0) {
+      await chrome.tabs.update(openedIds[i], updates).catch(error => {
+        console.warn('Failed to restore tab state:', tab.url, error);
+      });
+    }
+  }
+
+  const activeIndex = savedTabs.findIndex(tab => tab.active);
+  if (activeIndex !== -1 && openedIds[activeIndex] !== undefined) {
+    await chrome.tabs.update(openedIds[activeIndex], { active: true }).catch(error => {
+      console.warn('Failed to activate tab:', error);
+    });
+  }
+}
+
+// Open tabs in a new window one at a time, each in the container it was
+// saved in. The tab that was active opens first; when lazy, the others are
+// created without loading. Returns { window, openedIds } with one id per
+// saved tab.
+async function openTabsOneByOne(session, savedTabs, savedWindow, containerCache, lazy) {
+  const firstIndex = Math.max(0, savedTabs.findIndex(tab => tab.active));
+  const openedIds = new Array(savedTabs.length);
+
+  const getProperties = async (tab) => {
+    const cookieStoreId = await resolveTabContainer(session, tab, containerCache);
+    return cookieStoreId ? { url: tab.url, cookieStoreId } : { url: tab.url };
+  };
+
+  const window = await createWindow(savedWindow, await getProperties(savedTabs[firstIndex]));
+  openedIds[firstIndex] = window.tabs[0].id;
 
-      if (validUrls.length === 0) {
-        throw new Error('No valid URLs to restore (all were protected browser pages)');
+  for (let i = 0; i < savedTabs.length; i++) {
+    if (i === firstIndex) continue;
+
+    // Tabs before the first one are inserted in front of it, the rest appended
+    const properties = { ...(await getProperties(savedTabs[i])), windowId: window.id, index: i, active: false };
+    const created = lazy
+      ? await createUnloadedTab(properties, savedTabs[i].title)
+      : await chrome.tabs.create(properties);
+    openedIds[i] = created.id;
+  }
+
+  return { window, openedIds };
+}
+
+// How this browser creates unloaded tabs: 'discarded', 'discardAfter', or
+// null until the first lazy restore finds out
+let lazyTabCreation = null;
+
+// Firefox can create a tab as discarded, showing the saved title until it is
+// clicked. Chromium can't, so the tab is discarded right after it is created.
+async function createUnloadedTab(properties, title) {
+  if (lazyTabCreation !== 'discardAfter' && !properties.url.startsWith('about:')) {
+    try {
+      const created = await chrome.tabs.create({ ...properties, discarded: true, title: title || properties.url });
+      lazyTabCreation = 'discarded';
+      return created;
+    } catch (error) {
+      // Chromium rejects the discarded property
+      if (lazyTabCreation !== 'discarded') {
+        lazyTabCreation = 'discardAfter';
+      }
+    }
+  }
+
+  const created = await chrome.tabs.create(properties);
+  try {
+    // Discarding can replace the tab, so use the id it returns
+    const discarded = await chrome.tabs.discard(created.id);
+    return discarded || created;
+  } catch (error) {
+    console.warn('Failed to discard restored tab, leaving it loaded:', properties.url, error);
+    return created;
+  }
+}
+
+// Restore into Chromium's native tab groups, named and colored like the
+// session's groups. filter and afterRestore work as for restoreSession.
+async function restoreSessionWithNativeGroups(sessionId, filter, afterRestore) {
+  if (!chrome.tabGroups || !chrome.tabs.group) {
+    throw new Error('Native tab groups are only available in Chrome and Edge');
+  }
+
+  const session = await StorageService.getSession(sessionId);
+
+  if (!session) {
+    throw new Error('Session not found');
+  }
+
+  if (!session.tabGroups || session.tabGroups.length === 0) {
+    throw new Error('This session has no tab groups');
+  }
+
+  const afterRestoreAction = await resolveAfterRestore(afterRestore);
+  const tabIndices = getRestoreTabIndices(session, filter);
+  const { restored, windowsRestored, tabIds, windowIds } = await openTabsInWindows(session, tabIndices);
+  let groupsCreated = 0;
+
+  for (let i = 0; i < session.tabGroups.length; i++) {
+    const group = session.tabGroups[i];
+
+    // A native group lives in one window, so a group spread over several
+    // saved windows becomes one native group per window
+    const idsByWindow = new Map();
+    for (const idx of group.tabIndices) {
+      // Grouping a pinned tab would unpin it
+      if (!tabIds.has(idx) || session.tabs[idx - 1].pinned) continue;
+      const windowIndex = session.tabs[idx - 1].windowIndex || 0;
+      idsByWindow.set(windowIndex, [...(idsByWindow.get(windowIndex) || []), tabIds.get(idx)]);
+    }
+
+    for (const [windowIndex, ids] of idsByWindow) {
+      try {
+        // Without a windowId the group is created in the focused window and
+        // its tabs are moved there
+        const groupId = await chrome.tabs.group({
+          tabIds: ids,
+          createProperties: { windowId: windowIds.get(windowIndex) }
+        });
+        await chrome.tabGroups.update(groupId, {
+          title: group.name,
+          color: TabGroupSchema.getNativeGroupColor(group, i),
+          collapsed: group.collapsed === true
+        });
+        groupsCreated++;
+      } catch (error) {
+        console.error(`Failed to create tab group ${group.name}:`, error);
       }
+    }
+  }
+
+  return {
+    success: true,
+    restored,
+    skipped: tabIndices.length - restored,
+    windowsRestored,
+    groupsCreated,
+    afterRestore: await finishRestore(session, tabIndices, afterRestoreAction)
+  };
+}
 
-      await chrome.windows.create({ url: validUrls });
-      totalRestored = validUrls.length;
-      totalSkipped = session.tabs.length - validUrls.length;
+// Container with this name, created if there is none, so restoring a
+// session again doesn't pile up duplicates. restyle updates the color and
+// icon of an existing container. Returns { cookieStoreId, created }.
+async function findOrCreateContainer(name, color, icon, { restyle = false } = {}) {
+  const [existing] = await chrome.contextualIdentities.query({ name });
+
+  if (existing) {
+    if (restyle && (existing.color !== color || existing.icon !== icon)) {
+      await chrome.contextualIdentities.update(existing.cookieStoreId, { color, icon });
     }
+    return { cookieStoreId: existing.cookieStoreId, created: false };
+  }
 
-    return {
-      success: true,
-      restored: totalRestored,
-      skipped: totalSkipped,
-      windowsRestored: hasMultipleWindows ? session.windows.length : 1
-    };
+  const container = await chrome.contextualIdentities.create({ name, color, icon });
+  return { cookieStoreId: container.cookieStoreId, created: true };
+}
+
+// Only real containers; the default and private stores need no special handling
+function isContainerTab(tab) {
+  return !!tab.cookieStoreId && tab.cookieStoreId.startsWith('firefox-container-');
+}
+
+// Containers the captured tabs are in, so they can be found by name (or
+// recreated) on a restore where the original container is gone
+async function captureContainers(tabs) {
+  if (!chrome.contextualIdentities || !tabs.some(isContainerTab)) {
+    return [];
+  }
+
+  const usedIds = new Set(tabs.filter(isContainerTab).map(tab => tab.cookieStoreId));
+  const identities = await chrome.contextualIdentities.query({});
+  return identities
+    .filter(identity => usedIds.has(identity.cookieStoreId))
+    .map(({ cookieStoreId, name, color, icon }) => ({ cookieStoreId, name, color, icon }));
+}
+
+// Container to reopen a saved tab in: the original one if it still exists,
+// otherwise one with the same name. null means the default container.
+// cache maps saved cookieStoreId -> resolved id for the current restore.
+async function resolveTabContainer(session, tab, cache) {
+  if (!chrome.contextualIdentities || !isContainerTab(tab)) {
+    return null;
+  }
+  if (cache.has(tab.cookieStoreId)) {
+    return cache.get(tab.cookieStoreId);
+  }
+
+  let resolved = null;
+  try {
+    await chrome.contextualIdentities.get(tab.cookieStoreId);
+    resolved = tab.cookieStoreId;
   } catch (error) {
-    console.error('Error restoring session:', error);
+    const saved = (session.containers || []).find(c => c.cookieStoreId === tab.cookieStoreId);
+    if (saved) {
+      try {
+        resolved = (await findOrCreateContainer(saved.name, saved.color, saved.icon)).cookieStoreId;
+      } catch (createError) {
+        console.warn('Failed to recreate container:', saved.name, createError);
+      }
+    }
+  }
+
+  cache.set(tab.cookieStoreId, resolved);
+  return resolved;
+}
+
+// Open one tab from a saved session, optionally in the container it was captured in
+async function openSingleTab(url, cookieStoreId) {
+  if (!url || !isValidUrl(url)) {
+    throw new Error('This is a protected browser page and cannot be opened');
+  }
+
+  const createProperties = { url };
+  if (cookieStoreId && chrome.contextualIdentities) {
+    createProperties.cookieStoreId = cookieStoreId;
+  }
+
+  try {
+    const tab = await chrome.tabs.create(createProperties);
+    return { success: true, tabId: tab.id };
+  } catch (error) {
+    if (createProperties.cookieStoreId) {
+      throw new Error('The container this tab was saved in no longer exists');
+    }
     throw error;
   }
 }
 
 // Restore session with Firefox Container Tabs
-async function restoreSessionWithContainers(sessionId) {
+// filter and afterRestore work as for restoreSession; only groups with
+// selected tabs get a container
+async function restoreSessionWithContainers(sessionId, filter, afterRestore) {
   try {
     // Check if contextualIdentities API is available (Firefox only)
     if (!chrome.contextualIdentities) {
       throw new Error('Container tabs are only available in Firefox');
     }
 
-    const result = await chrome.storage.local.get(['sessions']);
-    const sessions = result.sessions || [];
-    const session = sessions.find(s => s.id === sessionId);
+    const session = await StorageService.getSession(sessionId);
 
     if (!session) {
       throw new Error('Session not found');
@@ -209,45 +986,37 @@ async function restoreSessionWithContainers(sessionId) {
       throw new Error('This session has no tab groups');
     }
 
-    // Define container colors matching our UI
-    const containerColors = ['blue', 'orange', 'green', 'purple', 'red', 'yellow', 'pink', 'turquoise'];
-
-    // Filter out illegal URLs
-    const illegalPrefixes = [
-      'about:',
-      'chrome:',
-      'edge:',
-      'moz-extension:',
-      'chrome-extension:',
-      'firefox:',
-      'view-source:'
-    ];
-
-    const isValidUrl = (url) => {
-      const lowerUrl = url.toLowerCase();
-      return !illegalPrefixes.some(prefix => lowerUrl.startsWith(prefix));
-    };
+    const afterRestoreAction = await resolveAfterRestore(afterRestore);
+    const selected = new Set(getRestoreTabIndices(session, filter));
+    const groupTabIndices = session.tabGroups.map(group => group.tabIndices.filter(idx => selected.has(idx)));
 
-    // Create containers for each tab group
+    // Find or create a container for each tab group
     const containerMap = new Map(); // group index -> container id
     let containersCreated = 0;
+    let containersReused = 0;
 
     for (let i = 0; i < session.tabGroups.length; i++) {
       const group = session.tabGroups[i];
-      const color = containerColors[i % containerColors.length];
+      // Same colors as the detail page; grey (from a native group) has no container equivalent
+      const groupColor = TabGroupSchema.getGroupColor(group, i);
+      const color = CONTAINER_COLORS.includes(groupColor) ? groupColor : 'toolbar';
+
+      if (groupTabIndices[i].length === 0) continue;
 
       try {
-        // Create container with group name and color
-        const container = await chrome.contextualIdentities.create({
-          name: group.name,
-          color: color,
-          icon: 'circle'
+        // An existing container only changes style when one was picked for the group
+        const container = await findOrCreateContainer(group.name, color, group.containerIcon || 'circle', {
+          restyle: !!(group.containerColor || group.containerIcon)
         });
 
         containerMap.set(i, container.cookieStoreId);
-        containersCreated++;
+        if (container.created) {
+          containersCreated++;
+        } else {
+          containersReused++;
+        }
       } catch (error) {
-        console.error(`Failed to create container for group ${group.name}:`, error);
+        console.error(`Failed to set up container for group ${group.name}:`, error);
       }
     }
 
@@ -259,13 +1028,12 @@ async function restoreSessionWithContainers(sessionId) {
     let currentWindowTabCount = 0;
 
     for (let i = 0; i < session.tabGroups.length; i++) {
-      const group = session.tabGroups[i];
       const cookieStoreId = containerMap.get(i);
 
       if (!cookieStoreId) continue;
 
       // Get tabs for this group
-      const tabsInGroup = group.tabIndices
+      const tabsInGroup = groupTabIndices[i]
         .map(idx => session.tabs[idx - 1])
         .filter(tab => tab && isValidUrl(tab.url));
 
@@ -319,8 +1087,12 @@ async function restoreSessionWithContainers(sessionId) {
     return {
       success: true,
       containersCreated,
+      containersReused,
       tabsRestored,
-      windowsCreated
+      windowsCreated,
+      // Ungrouped tabs aren't reopened here, so the session only counts as
+      // fully restored if all its tabs are grouped
+      afterRestore: await finishRestore(session, [...new Set(groupTabIndices.flat())], afterRestoreAction)
     };
   } catch (error) {
     console.error('Error restoring with containers:', error);
@@ -328,146 +1100,279 @@ async function restoreSessionWithContainers(sessionId) {
   }
 }
 
-// Generate AI context for a session
-async function generateContextForSession(sessionId, tabs) {
-  try {
-    console.log('Generating context for session:', sessionId);
+// Generate AI context for a session. Runs as a JobQueue job, which records
+// failures on the session and decides whether to retry.
+async function generateContextForSession(sessionId, tabs, { signal = null, keepNativeGroups = false } = {}) {
+  console.log('Generating context for session:', sessionId);
 
-    // Mark session as generating
-    await StorageService.updateSession(sessionId, {
-      generatingContext: true,
-      generationStatus: 'Generating AI context and tab groups...'
-    });
+  // Mark session as generating
+  await StorageService.updateSession(sessionId, {
+    generatingContext: true,
+    generationStatus: 'Generating AI context and tab groups...'
+  });
 
-    const settings = await StorageService.getSettings();
+  const settings = await StorageService.getSettings();
 
-    if (!settings.apiKey) {
-      await StorageService.updateSession(sessionId, {
-        generatingContext: false,
-        generationStatus: 'Error: API key not configured'
-      });
-      throw new Error('API key not configured. Please add your API key in settings.');
-    }
+  const configError = AIProvider.getConfigurationError(settings);
+  if (configError) {
+    throw new Error(configError);
+  }
 
-    console.log('Using AI provider:', settings.aiProvider, 'Model:', settings.model);
-    const aiService = new AIService(settings);
+  console.log('Using AI provider:', settings.aiProvider, 'Model:', settings.model);
+  const aiService = new AIService(settings, { signal });
 
-    // Generate context description
-    console.log('Calling AI service to generate context...');
-    const context = await aiService.generateContext(tabs);
-    console.log('Generated context:', context);
+  // Large sessions take several requests; show which step is running
+  const onProgress = (message) => StorageService.updateSession(sessionId, {
+    generationStatus: message
+  }).catch(error => console.warn('Failed to report progress:', error));
 
-    // Generate tab groups if enabled
-    let tabGroups = [];
-    if (settings.autoTabGroups) {
-      try {
-        console.log('Generating tab groups...');
-        tabGroups = await aiService.generateTabGroups(tabs);
-        console.log('Generated tab groups:', tabGroups);
-        console.log('Tab groups type:', typeof tabGroups, 'Is array:', Array.isArray(tabGroups));
-        console.log('Tab groups length:', tabGroups.length);
-      } catch (groupError) {
-        console.warn('Failed to generate tab groups:', groupError);
+  // Generate context description
+  console.log('Calling AI service to generate context...');
+  const context = await aiService.generateContext(tabs, { onProgress });
+  console.log('Generated context:', context);
+
+  // Generate tab groups if enabled, unless the tabs were captured in native
+  // tab groups, which are kept as the user made them
+  let tabGroups = [];
+  let generationStatus = 'Complete';
+  if (settings.autoTabGroups && !keepNativeGroups) {
+    try {
+      console.log('Generating tab groups...');
+      tabGroups = await aiService.generateTabGroups(tabs, { onProgress });
+      console.log('Generated tab groups:', tabGroups);
+      console.log('Tab groups type:', typeof tabGroups, 'Is array:', Array.isArray(tabGroups));
+      console.log('Tab groups length:', tabGroups.length);
+    } catch (groupError) {
+      // Cancelled jobs and errors worth retrying go to the job queue; the
+      // context alone is only kept when grouping itself can't succeed
+      if (signal?.aborted || groupError.retryable) {
+        throw groupError;
       }
+      console.warn('Failed to generate tab groups:', groupError);
+      generationStatus = `Complete (tab grouping failed: ${groupError.message})`;
     }
+  }
 
-    // Prepare updates
-    const updates = {
-      context,
-      tabGroups: tabGroups.length > 0 ? tabGroups : undefined,
-      generatingContext: false,
-      generationStatus: 'Complete'
-    };
+  // Prepare updates
+  const updates = {
+    context,
+    generatingContext: false,
+    generationStatus
+  };
+  if (tabGroups.length > 0) {
+    updates.tabGroups = tabGroups;
+  }
 
-    console.log('About to update session with:', updates);
-    console.log('Tab groups being saved:', updates.tabGroups);
+  console.log('About to update session with:', updates);
+  console.log('Tab groups being saved:', updates.tabGroups);
 
-    // Update session with context and groups
-    await StorageService.updateSession(sessionId, updates);
-    console.log('Session updated with context and groups');
+  // Update session with context and groups
+  const updatedSession = await StorageService.updateSession(sessionId, updates);
+  console.log('Session updated with context and groups');
 
-    return {
-      context,
-      tabGroups
-    };
-  } catch (error) {
-    console.error('Error generating context:', error);
-    // Mark as failed
+  // Refresh the session's embedding now that it has a description
+  if (SemanticIndex.isAvailable(settings)) {
     try {
-      await StorageService.updateSession(sessionId, {
-        generatingContext: false,
-        generationStatus: `Error: ${error.message}`
-      });
-    } catch (updateError) {
-      console.error('Failed to update error status:', updateError);
+      await SemanticIndex.indexSession(updatedSession, settings);
+    } catch (embeddingError) {
+      console.warn('Failed to embed session:', embeddingError);
     }
-    throw error;
   }
+
+  return {
+    context,
+    tabGroups
+  };
+}
+
+// Compute and store the embedding for one session
+async function indexSessionEmbedding(sessionId) {
+  const settings = await StorageService.getSettings();
+
+  if (!SemanticIndex.isAvailable(settings)) {
+    return { indexed: false };
+  }
+
+  const session = await StorageService.getSession(sessionId);
+
+  if (!session) {
+    throw new Error('Session not found');
+  }
+
+  await SemanticIndex.indexSession(session, settings);
+  return { indexed: true };
+}
+
+// Rebuild the full-text index, and re-embed every saved session when the
+// provider supports embeddings (e.g. after switching embedding model)
+async function rebuildSearchIndexes() {
+  const settings = await StorageService.getSettings();
+  await StorageService.rebuildSearchIndex();
+  const sessions = await StorageService.getSessions();
+
+  let embedded = false;
+  if (SemanticIndex.isAvailable(settings)) {
+    await SemanticIndex.rebuild(sessions, settings);
+    embedded = true;
+  }
+
+  return { indexed: sessions.length, embedded };
 }
 
 // Search sessions using semantic search and AI ranking
 async function searchSessionsSemantically(query) {
   try {
+    // Throws QueryParseError on bad syntax; the popup shows it as an error
+    const parsed = QueryParser.parse(query);
     const settings = await StorageService.getSettings();
-    const sessions = await StorageService.getSessions();
+    const allSessions = await StorageService.getSessions();
 
-    console.log('Search query:', query);
-    console.log('Total sessions:', sessions.length);
+    console.log('Search query:', query, parsed);
+    console.log('Total sessions:', allSessions.length);
 
-    if (sessions.length === 0) {
+    if (allSessions.length === 0) {
       return { results: [], method: 'none' };
     }
 
+    // Structured filters narrow the candidates before any ranking happens
+    const sessions = QueryParser.hasFilters(parsed)
+      ? allSessions.filter(session => QueryParser.matches(session, parsed))
+      : allSessions;
+    console.log('Sessions after filters:', sessions.length);
+
+    // Filters without free text: newest matching sessions first
+    if (!parsed.text || sessions.length === 0) {
+      const newestFirst = [...sessions].sort((a, b) => b.timestamp - a.timestamp);
+      return { results: withTabHits(newestFirst, parsed), method: 'filter' };
+    }
+
     // Filter sessions with context descriptions
     const sessionsWithContext = sessions.filter(s => s.context);
     console.log('Sessions with context:', sessionsWithContext.length);
 
-    // Text search in session names and context
-    let candidateSessions = sessions.filter(session => {
-      const searchText = `${session.name} ${session.context || ''}`.toLowerCase();
-      const matches = searchText.includes(query.toLowerCase());
-      if (matches) {
-        console.log('Text match found:', session.name);
-      }
-      return matches;
-    });
+    // Full-text BM25 search over names, context, groups and tab titles/URLs
+    const index = await StorageService.getSearchIndex();
+    const textMatches = await SearchIndex.search(parsed.text, index);
+    const sessionsById = new Map(sessions.map(s => [s.id, s]));
+    let candidateSessions = textMatches
+      .map(match => sessionsById.get(match.sessionId))
+      .filter(Boolean);
+
+    // Every filtered session already contains the quoted phrases, so it is
+    // a match even if BM25 found nothing to score (e.g. all stop words)
+    if (parsed.phrases.length > 0) {
+      const matchedIds = new Set(candidateSessions.map(s => s.id));
+      candidateSessions.push(...sessions.filter(s => !matchedIds.has(s.id)));
+    }
     console.log('Text search found:', candidateSessions.length, 'results');
+    let searchMethod = 'text';
+
+    // Rank by embedding similarity when the provider supports embeddings,
+    // keeping plain text matches the vectors missed at the end
+    if (SemanticIndex.isAvailable(settings)) {
+      try {
+        const semanticMatches = await SemanticIndex.search(parsed.text, sessions, settings);
+        console.log('Semantic search found:', semanticMatches.length, 'results');
+
+        if (semanticMatches.length > 0) {
+          const semanticSessions = semanticMatches.map(match => match.session);
+          const semanticIds = new Set(semanticSessions.map(s => s.id));
+          candidateSessions = [
+            ...semanticSessions,
+            ...candidateSessions.filter(s => !semanticIds.has(s.id))
+          ];
+          searchMethod = 'semantic';
+        }
+      } catch (error) {
+        console.warn('Semantic search failed:', error);
+      }
+    }
 
     // Use AI to rank ALL sessions if text search found nothing but we have context
     // This allows semantic search even when keywords don't match!
-    if (settings.aiRanking && settings.apiKey && sessionsWithContext.length > 0) {
-      // If text search failed, give AI all sessions with context
-      const sessionsToRank = candidateSessions.length > 0 ? candidateSessions : sessionsWithContext;
+    let aiFallback = null;
+    if (settings.aiRanking && AIService.isConfigured(settings) && sessionsWithContext.length > 0) {
+      // Local pre-filter: the best text/semantic matches, or if there are
+      // none, the most recent sessions with context. Capped so large
+      // libraries don't send hundreds of sessions to the model per query.
+      const maxRanked = settings.maxRankedSessions || DEFAULT_MAX_RANKED_SESSIONS;
+      const preFiltered = candidateSessions.length > 0
+        ? candidateSessions
+        : [...sessionsWithContext].sort((a, b) => b.timestamp - a.timestamp);
+      const sessionsToRank = preFiltered.slice(0, maxRanked);
+      const minScore = AIService.getRelevanceThreshold(settings.searchSensitivity);
 
       try {
         console.log('Using AI to rank search results...');
-        console.log('Ranking', sessionsToRank.length, 'sessions');
+        console.log('Ranking', sessionsToRank.length, 'of', preFiltered.length, 'sessions with threshold', minScore);
         const aiService = new AIService(settings);
-        const topResults = await aiService.rankSessionsByRelevance(query, sessionsToRank);
-        console.log('AI ranked results:', topResults.length);
+        const ranked = await aiService.rankSessionsInBatches(parsed.text, sessionsToRank, { minScore });
+        console.log('AI ranked results:', ranked.length);
 
-        if (topResults.length > 0) {
-          return { results: topResults, method: 'ai-ranked' };
-        }
+        // An empty ranking means the model scored every candidate below the
+        // threshold, so nothing is relevant; don't show the unranked ones
+        const topResults = ranked.map(({ session, score, reason }) => ({
+          ...session,
+          relevance: { score, reason }
+        }));
+        return { results: withTabHits(topResults, parsed), method: 'ai-ranked' };
       } catch (error) {
+        // Fall back to the text/semantic order, and say so
         console.warn('AI ranking failed:', error);
+        aiFallback = error.message;
       }
     }
 
     // If no results found after all attempts, return empty
     if (candidateSessions.length === 0) {
       console.log('No results found for query:', query);
-      return { results: [], method: searchMethod };
+      return { results: [], method: searchMethod, aiFallback };
     }
 
     // Return top 10 results if no AI ranking
     console.log('Returning results without AI ranking:', candidateSessions.length);
     return {
-      results: candidateSessions.slice(0, 10),
-      method: searchMethod
+      results: withTabHits(candidateSessions.slice(0, 10), parsed),
+      method: searchMethod,
+      aiFallback
     };
   } catch (error) {
     console.error('Error searching sessions:', error);
     throw error;
   }
 }
+
+// Attach the tabs inside each result that match the query, with highlight
+// ranges, so the popup can offer to open just those tabs
+function withTabHits(sessions, parsed) {
+  const hasDomainFilter = parsed.filters.domain.length > 0;
+
+  return sessions.map(session => {
+    let hits = parsed.text
+      ? SearchIndex.findMatchingTabs(session, parsed.text, parsed.phrases)
+      : session.tabs.map((tab, tabIndex) => ({ tabIndex, titleRanges: [], urlRanges: [] }));
+
+    if (hasDomainFilter) {
+      hits = hits.filter(hit => QueryParser.tabMatchesDomain(session.tabs[hit.tabIndex], parsed));
+    } else if (!parsed.text) {
+      hits = [];
+    }
+
+    const matchedTabs = hits.map(hit => {
+      const tab = session.tabs[hit.tabIndex];
+      return {
+        ...hit,
+        title: tab.title,
+        url: tab.url,
+        favIconUrl: tab.favIconUrl,
+        cookieStoreId: tab.cookieStoreId
+      };
+    });
+
+    return {
+      ...session,
+      matchedTabs: matchedTabs.slice(0, MAX_TAB_HITS),
+      matchedTabCount: matchedTabs.length
+    };
+  });
+}
@@ -0,0 +1,215 @@
+// Persistent queue for AI generation jobs
+// Jobs are stored in chrome.storage.local so they survive the background
+// script being unloaded mid-request; unfinished jobs are picked up again on
+// the next start. Failed requests that are worth retrying (rate limits,
+// overload, network errors) are retried with exponential backoff.
+
+const JOB_QUEUE_KEY = 'aiJobs';
+const JOB_QUEUE_ALARM = 'aiJobQueue';
+const MAX_JOB_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+// While jobs are running or waiting for a free slot, an alarm this far out
+// restarts an unloaded background so init can re-queue them
+const RESUME_ALARM_DELAY_MS = 60 * 1000;
+
+class JobQueue {
+  // Called once per background start
+  static async init(runJob) {
+    // Anything marked running was interrupted when the previous background
+    // instance was torn down, so it goes back in the queue
+    const jobs = await this.update(jobs => jobs.map(job =>
+      job.status === 'running' ? { ...job, status: 'queued' } : job
+    ));
+    this.scheduleWakeUp(jobs, Date.now());
+
+    this.runJob = runJob;
+    await this.process();
+  }
+
+  // Alarms only reach a listener added while the script first runs, so the
+  // one below is registered at load; before init, there's nothing to do yet
+  // because init processes the queue itself
+  static onAlarm(alarm) {
+    if (alarm.name === JOB_QUEUE_ALARM && this.runJob) {
+      this.process();
+    }
+  }
+
+  static async getJobs() {
+    const result = await chrome.storage.local.get([JOB_QUEUE_KEY]);
+    return result[JOB_QUEUE_KEY] || [];
+  }
+
+  // Serialize read-modify-write cycles on the stored job list
+  static update(mutate) {
+    this.pending = (this.pending || Promise.resolve()).then(async () => {
+      const jobs = await this.getJobs();
+      const updated = mutate(jobs);
+      await chrome.storage.local.set({ [JOB_QUEUE_KEY]: updated });
+      return updated;
+    });
+    return this.pending;
+  }
+
+  static async getJobForSession(sessionId) {
+    const jobs = await this.getJobs();
+    return jobs.find(job => job.sessionId === sessionId) || null;
+  }
+
+  // Queue context generation for a session, replacing any earlier job for it
+  static async enqueue(sessionId) {
+    const job = {
+      id: `${sessionId}-${Date.now()}`,
+      type: 'generateContext',
+      sessionId,
+      status: 'queued',
+      attempts: 0,
+      nextRunAt: Date.now(),
+      createdAt: Date.now(),
+      lastError: null
+    };
+
+    this.abort(sessionId);
+    await this.update(jobs => [...jobs.filter(j => j.sessionId !== sessionId), job]);
+    await this.setSessionStatus(sessionId, true, 'Queued for AI generation...');
+
+    this.process();
+    return job;
+  }
+
+  static async cancel(sessionId) {
+    this.abort(sessionId);
+    await this.update(jobs => jobs.filter(job => job.sessionId !== sessionId));
+    await this.setSessionStatus(sessionId, false, 'Cancelled');
+    return { cancelled: true };
+  }
+
+  // Reflect job state on the session; the session may have been deleted
+  static async setSessionStatus(sessionId, generatingContext, generationStatus) {
+    try {
+      await StorageService.updateSession(sessionId, { generatingContext, generationStatus });
+    } catch (error) {
+      console.warn('Failed to update job status on session:', sessionId, error);
+    }
+  }
+
+  static abort(sessionId) {
+    for (const [jobId, controller] of this.controllers) {
+      if (jobId.startsWith(`${sessionId}-`)) {
+        controller.abort();
+        this.controllers.delete(jobId);
+      }
+    }
+  }
+
+  // Start every due job, up to the concurrency limit, and schedule a wake-up
+  // for the next one that is waiting out a backoff
+  static async process() {
+    // Jobs queued while the background is still starting wait for init,
+    // which processes the queue once migrations are done
+    if (!this.runJob) {
+      return;
+    }
+
+    const settings = await StorageService.getSettings();
+    const limit = settings.maxConcurrentRequests || DEFAULT_MAX_CONCURRENT_REQUESTS;
+    const jobs = await this.getJobs();
+    const now = Date.now();
+
+    // controllers is updated synchronously when a job starts, so concurrent
+    // process() calls can't start the same job twice
+    const freeSlots = limit - this.controllers.size;
+    const due = jobs
+      .filter(job => job.status === 'queued' && job.nextRunAt <= now && !this.controllers.has(job.id))
+      .sort((a, b) => a.nextRunAt - b.nextRunAt)
+      .slice(0, Math.max(0, freeSlots));
+
+    due.forEach(job => this.start(job));
+    this.scheduleWakeUp(jobs, now);
+  }
+
+  // Keep an alarm set while any job is unfinished: at the end of the next
+  // backoff, or RESUME_ALARM_DELAY_MS out for jobs that are running or due
+  static scheduleWakeUp(jobs, now) {
+    const unfinished = jobs.filter(job => job.status === 'queued' || job.status === 'running');
+    if (unfinished.length === 0) {
+      chrome.alarms.clear(JOB_QUEUE_ALARM);
+      return;
+    }
+
+    const waiting = unfinished.filter(job => job.status === 'queued' && job.nextRunAt > now);
+    const nextBackoffEnd = Math.min(...waiting.map(job => job.nextRunAt));
+    const hasActive = waiting.length < unfinished.length;
+
+    // The alarm wakes a background that was unloaded; the timer is quicker
+    // while it is still alive (alarms may be rounded up to 30s or more)
+    chrome.alarms.create(JOB_QUEUE_ALARM, {
+      when: Math.min(nextBackoffEnd, hasActive ? now + RESUME_ALARM_DELAY_MS : Infinity)
+    });
+    clearTimeout(this.wakeUpTimer);
+    if (waiting.length > 0) {
+      this.wakeUpTimer = setTimeout(() => this.process(), Math.max(0, nextBackoffEnd - Date.now()));
+    }
+  }
+
+  static async start(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    await this.update(jobs => jobs.map(j =>
+      j.id === job.id ? { ...j, status: 'running', attempts: j.attempts + 1 } : j
+    ));
+
+    try {
+      await this.runJob(job, controller.signal);
+      await this.update(jobs => jobs.filter(j => j.id !== job.id));
+    } catch (error) {
+      if (controller.signal.aborted) {
+        // Cancelled or replaced; whoever aborted it already updated the queue
+        return;
+      }
+      await this.handleFailure(job, error);
+    } finally {
+      this.controllers.delete(job.id);
+      this.process();
+    }
+  }
+
+  static async handleFailure(job, error) {
+    const attempts = job.attempts + 1;
+    const canRetry = error.retryable && attempts < MAX_JOB_ATTEMPTS;
+
+    if (!canRetry) {
+      console.error('AI job failed:', job.sessionId, error);
+      await this.update(jobs => jobs.map(j =>
+        j.id === job.id ? { ...j, status: 'failed', lastError: error.message } : j
+      ));
+      await this.setSessionStatus(job.sessionId, false, `Error: ${error.message}`);
+      return;
+    }
+
+    const delay = this.getRetryDelay(attempts, error.retryAfterMs);
+    console.warn(`AI job for ${job.sessionId} failed, retrying in ${delay}ms:`, error);
+
+    await this.update(jobs => jobs.map(j =>
+      j.id === job.id
+        ? { ...j, status: 'queued', nextRunAt: Date.now() + delay, lastError: error.message }
+        : j
+    ));
+    await this.setSessionStatus(job.sessionId, true,
+      `${error.message}. Retrying in ${Math.round(delay / 1000)}s (attempt ${attempts + 1} of ${MAX_JOB_ATTEMPTS})...`);
+  }
+
+  // Exponential backoff with jitter, never shorter than the server asked for
+  static getRetryDelay(attempts, retryAfterMs) {
+    const exponential = BASE_RETRY_DELAY_MS * 2 ** (attempts - 1);
+    const jitter = Math.random() * BASE_RETRY_DELAY_MS;
+    return Math.min(MAX_RETRY_DELAY_MS, Math.max(exponential + jitter, retryAfterMs || 0));
+  }
+}
+
+// jobId -> AbortController for the jobs running in this background instance
+JobQueue.controllers = new Map();
+
+chrome.alarms.onAlarm.addListener(alarm => JobQueue.onAlarm(alarm));
@@ -11,46 +11,174 @@ async function init() {
 }
 
 async function loadSettings() {
-  const result = await chrome.storage.local.get(['settings']);
-  settings = result.settings || {
-    aiProvider: 'anthropic', // Always Anthropic
-    apiKey: '',
-    model: 'claude-3-haiku-20240307',
-    autoContext: true,
-    autoTabGroups: false,
-    multiWindow: true,
-    aiRanking: true
-  };
+  settings = await StorageService.getSettings();
 }
 
 function populateForm() {
+  const providerSelect = document.getElementById('aiProvider');
+  providerSelect.innerHTML = Object.entries(AI_PROVIDERS)
+    .map(([id, provider]) => `<option value="${id}">${provider.label}</option>`)
+    .join('');
+  providerSelect.value = AI_PROVIDERS[settings.aiProvider] ? settings.aiProvider : 'anthropic';
+  document.getElementById('baseUrl').value = settings.baseUrl || '';
+  document.getElementById('embeddingModel').value = settings.embeddingModel || '';
+  renderProviderFields(settings.model);
+
   document.getElementById('apiKey').value = settings.apiKey || '';
-  document.getElementById('model').value = settings.model || 'claude-3-haiku-20240307';
+  document.getElementById('maxConcurrentRequests').value = settings.maxConcurrentRequests || 2;
   document.getElementById('autoContext').checked = settings.autoContext !== false;
   document.getElementById('autoTabGroups').checked = settings.autoTabGroups === true;
+  document.getElementById('maxTabGroups').value = settings.maxTabGroups || 5;
   document.getElementById('multiWindow').checked = settings.multiWindow !== false;
+  document.getElementById('closePinnedTabs').checked = settings.closePinnedTabs === true;
+  const restoreModeSelect = document.getElementById('restoreMode');
+  restoreModeSelect.innerHTML = Object.entries(RESTORE_MODES)
+    .map(([id, label]) => `<option value="${id}">${label}</option>`)
+    .join('');
+  restoreModeSelect.value = RESTORE_MODES[settings.restoreMode] ? settings.restoreMode : 'newWindow';
+  const afterRestoreSelect = document.getElementById('afterRestore');
+  afterRestoreSelect.innerHTML = Object.entries(AFTER_RESTORE_ACTIONS)
+    .map(([id, label]) => `<option value="${id}">${label}</option>`)
+    .join('');
+  afterRestoreSelect.value = AFTER_RESTORE_ACTIONS[settings.afterRestore] ? settings.afterRestore : 'keep';
+  document.getElementById('lazyRestore').checked = settings.lazyRestore === true;
+  document.getElementById('lazyRestoreThreshold').value = settings.lazyRestoreThreshold || 20;
   document.getElementById('aiRanking').checked = settings.aiRanking !== false;
+  document.getElementById('searchSensitivity').value = settings.searchSensitivity || 7;
+  document.getElementById('searchSensitivityValue').textContent = settings.searchSensitivity || 7;
+  document.getElementById('maxRankedSessions').value = settings.maxRankedSessions || 30;
+
+  document.getElementById('exportFormat').innerHTML = Object.entries(EXPORT_FORMATS)
+    .map(([id, format]) => `<option value="${id}">${format.label}</option>`)
+    .join('');
+}
+
+// Refresh the model list and API key hint for the selected provider
+function renderProviderFields(selectedModel) {
+  const provider = AI_PROVIDERS[document.getElementById('aiProvider').value];
+  const hasModelList = provider.models.length > 0;
+
+  const modelSelect = document.getElementById('model');
+  modelSelect.innerHTML = provider.models
+    .map(model => `<option value="${model.id}">${model.name}</option>`)
+    .join('');
+  modelSelect.classList.toggle('hidden', !hasModelList);
+
+  // Local servers can run any model, so the name is typed in
+  const customModel = document.getElementById('customModel');
+  customModel.classList.toggle('hidden', hasModelList);
+  customModel.placeholder = `e.g. ${provider.defaultModel}`;
+
+  if (hasModelList) {
+    const hasModel = provider.models.some(model => model.id === selectedModel);
+    modelSelect.value = hasModel ? selectedModel : provider.defaultModel;
+  } else if (!customModel.value) {
+    customModel.value = selectedModel && !isListedModel(selectedModel) ? selectedModel : provider.defaultModel;
+  }
+
+  // Anthropic has no embeddings endpoint; local servers need a model named
+  const embeddingModel = document.getElementById('embeddingModel');
+  const hasEmbeddings = Boolean(provider.defaultEmbeddingModel || provider.requiresEmbeddingModel);
+  document.getElementById('embeddingModelGroup').classList.toggle('hidden', !hasEmbeddings);
+  embeddingModel.placeholder = provider.defaultEmbeddingModel || 'Leave empty to skip semantic search';
+
+  const baseUrl = document.getElementById('baseUrl');
+  document.getElementById('baseUrlGroup').classList.toggle('hidden', !provider.usesBaseUrl);
+  baseUrl.placeholder = provider.defaultBaseUrl || '';
+
+  const keyHint = document.getElementById('apiKeyHint');
+  if (provider.requiresApiKey) {
+    keyHint.innerHTML = `Get your API key from <a id="apiKeyLink" href="${provider.keyUrl}" target="_blank">${new URL(provider.keyUrl).hostname}</a>`;
+  } else {
+    keyHint.textContent = 'Optional. Only needed if your server checks for a key.';
+  }
+}
+
+// Whether a model id belongs to one of the cloud providers' fixed lists
+function isListedModel(modelId) {
+  return Object.values(AI_PROVIDERS).some(provider =>
+    provider.models.some(model => model.id === modelId)
+  );
+}
+
+// Provider-related settings as currently entered in the form
+function readProviderSettings() {
+  const aiProvider = document.getElementById('aiProvider').value;
+  const provider = AI_PROVIDERS[aiProvider];
+
+  return {
+    aiProvider,
+    apiKey: document.getElementById('apiKey').value,
+    baseUrl: document.getElementById('baseUrl').value.trim(),
+    embeddingModel: document.getElementById('embeddingModel').value.trim(),
+    model: provider.models.length > 0
+      ? document.getElementById('model').value
+      : document.getElementById('customModel').value.trim()
+  };
+}
+
+async function testConnection() {
+  const providerSettings = { ...settings, ...readProviderSettings() };
+  const configError = AIProvider.getConfigurationError(providerSettings);
+
+  if (configError) {
+    showStatus(configError, 'error');
+    return;
+  }
+
+  const button = document.getElementById('testConnectionBtn');
+  button.disabled = true;
+
+  try {
+    const aiService = new AIService(providerSettings);
+    const result = await aiService.testConnection();
+    showStatus(`Connected to ${result.provider} (${result.model})`, 'success');
+  } catch (error) {
+    showStatus('Connection failed: ' + error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
 }
 
 function setupEventListeners() {
+  document.getElementById('aiProvider').addEventListener('change', () => {
+    document.getElementById('customModel').value = '';
+    document.getElementById('baseUrl').value = '';
+    document.getElementById('embeddingModel').value = '';
+    renderProviderFields(document.getElementById('model').value);
+  });
+  document.getElementById('testConnectionBtn').addEventListener('click', testConnection);
+  document.getElementById('searchSensitivity').addEventListener('input', (e) => {
+    document.getElementById('searchSensitivityValue').textContent = e.target.value;
+  });
   document.getElementById('saveBtn').addEventListener('click', saveSettings);
+  document.getElementById('exportScope').addEventListener('change', renderExportSessionList);
   document.getElementById('exportBtn').addEventListener('click', exportSessions);
   document.getElementById('importBtn').addEventListener('click', () => {
     document.getElementById('importFile').click();
   });
   document.getElementById('importFile').addEventListener('change', importSessions);
+  document.getElementById('rebuildIndexBtn').addEventListener('click', rebuildSearchIndex);
   document.getElementById('clearAllBtn').addEventListener('click', clearAllSessions);
 }
 
 async function saveSettings() {
   const newSettings = {
-    aiProvider: 'anthropic', // Always Anthropic
-    apiKey: document.getElementById('apiKey').value,
-    model: document.getElementById('model').value,
+    ...settings,
+    ...readProviderSettings(),
+    maxConcurrentRequests: Math.min(10, Math.max(1, parseInt(document.getElementById('maxConcurrentRequests').value, 10) || 2)),
     autoContext: document.getElementById('autoContext').checked,
     autoTabGroups: document.getElementById('autoTabGroups').checked,
+    maxTabGroups: Math.min(12, Math.max(2, parseInt(document.getElementById('maxTabGroups').value, 10) || 5)),
     multiWindow: document.getElementById('multiWindow').checked,
-    aiRanking: document.getElementById('aiRanking').checked
+    closePinnedTabs: document.getElementById('closePinnedTabs').checked,
+    restoreMode: document.getElementById('restoreMode').value,
+    afterRestore: document.getElementById('afterRestore').value,
+    lazyRestore: document.getElementById('lazyRestore').checked,
+    lazyRestoreThreshold: Math.max(1, parseInt(document.getElementById('lazyRestoreThreshold').value, 10) || 20),
+    aiRanking: document.getElementById('aiRanking').checked,
+    searchSensitivity: parseInt(document.getElementById('searchSensitivity').value, 10),
+    maxRankedSessions: Math.max(1, parseInt(document.getElementById('maxRankedSessions').value, 10) || 30)
   };
 
   await chrome.storage.local.set({ settings: newSettings });
@@ -61,50 +189,85 @@ async function saveSettings() {
 
 async function exportSessions() {
   try {
-    const result = await chrome.storage.local.get(['sessions']);
-    const sessions = result.sessions || [];
+    const format = document.getElementById('exportFormat').value;
+    let sessions = await StorageService.getSessions();
+
+    if (document.getElementById('exportScope').value === 'selected') {
+      const selectedIds = new Set([...document.querySelectorAll('#exportSessionList input:checked')]
+        .map(input => input.value));
+      sessions = sessions.filter(session => selectedIds.has(session.id));
+    }
+
+    if (sessions.length === 0) {
+      throw new Error('No sessions selected');
+    }
 
-    const dataStr = JSON.stringify(sessions, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    const { content, fileName, mimeType } = SessionExporter.export(format, sessions);
+    const dataBlob = new Blob([content], { type: mimeType });
 
     const url = URL.createObjectURL(dataBlob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `tab-sessions-${Date.now()}.json`;
+    link.download = fileName;
     link.click();
 
     URL.revokeObjectURL(url);
-    showStatus('Sessions exported successfully!', 'success');
+    showStatus(`Exported ${sessions.length} sessions as ${EXPORT_FORMATS[format].label}`, 'success');
   } catch (error) {
     showStatus('Failed to export sessions: ' + error.message, 'error');
   }
 }
 
+// Checkbox list of saved sessions, shown when exporting a selection
+async function renderExportSessionList() {
+  const listEl = document.getElementById('exportSessionList');
+  const selected = document.getElementById('exportScope').value === 'selected';
+  listEl.classList.toggle('hidden', !selected);
+
+  if (!selected) {
+    return;
+  }
+
+  const summaries = await StorageService.getSessionIndex();
+  listEl.innerHTML = summaries.length === 0
+    ? '<small>No saved sessions</small>'
+    : summaries.map(session => `
+      <label>
+        <input type="checkbox" value="${escapeHtml(session.id)}">
+        ${escapeHtml(session.name)}
+        <span class="export-session-meta">${new Date(session.timestamp).toLocaleDateString()} · ${session.tabCount} tabs</span>
+      </label>
+    `).join('');
+}
+
 async function importSessions(event) {
   const file = event.target.files[0];
   if (!file) return;
 
   try {
     const text = await file.text();
-    const importedSessions = JSON.parse(text);
+    // Our own backups and other tab managers' exports
+    const { format, records } = SessionImporter.parse(text, file.name);
 
-    if (!Array.isArray(importedSessions)) {
+    if (!Array.isArray(records)) {
       throw new Error('Invalid session data format');
     }
 
-    const result = await chrome.storage.local.get(['sessions']);
-    const existingSessions = result.sessions || [];
+    // Validate and upgrade each record, skipping sessions we already have
+    const existingSessions = await StorageService.getSessions();
+    const { sessions, report } = DataSchema.prepareImport(records, existingSessions);
+
+    // Added by the background, after whatever was saved in the meantime
+    const added = await StorageService.addSessions(sessions);
 
-    // Merge sessions, avoiding duplicates
-    const mergedSessions = [...existingSessions];
-    importedSessions.forEach(session => {
-      if (!mergedSessions.find(s => s.id === session.id)) {
-        mergedSessions.push(session);
-      }
-    });
+    if (document.getElementById('importGenerateContext').checked) {
+      await queueContextGeneration(added);
+    }
 
-    await chrome.storage.local.set({ sessions: mergedSessions });
-    showStatus(`Imported ${importedSessions.length} sessions successfully!`, 'success');
+    renderImportReport(report);
+    const rejectedNote = report.rejected.length > 0 ? `, ${report.rejected.length} rejected` : '';
+    showStatus(`Imported ${report.merged.length} sessions from ${IMPORT_FORMATS[format]}${rejectedNote}`,
+      report.merged.length > 0 ? 'success' : 'error');
   } catch (error) {
     showStatus('Failed to import sessions: ' + error.message, 'error');
   }
@@ -113,6 +276,61 @@ async function importSessions(event) {
   event.target.value = '';
 }
 
+// Hand imported sessions to the background AI job queue
+async function queueContextGeneration(sessions) {
+  for (const session of sessions) {
+    const response = await chrome.runtime.sendMessage({ action: 'generateContext', sessionId: session.id });
+    if (response.error) {
+      throw new Error(`Imported, but queueing AI context failed: ${response.error}`);
+    }
+  }
+}
+
+// List what happened to each imported record
+function renderImportReport(report) {
+  const sections = [
+    { title: 'Rejected', items: report.rejected },
+    { title: 'Upgraded from an older format', items: report.upgraded },
+    { title: 'Repaired (invalid parts removed)', items: report.repaired },
+    { title: 'Already saved (skipped)', items: report.duplicates },
+    { title: 'Imported', items: report.merged }
+  ].filter(section => section.items.length > 0);
+
+  const reportEl = document.getElementById('importReport');
+  reportEl.innerHTML = sections.map(section => `
+    <details ${section.title === 'Rejected' ? 'open' : ''}>
+      <summary>${section.title}: ${section.items.length}</summary>
+      <ul>
+        ${section.items.map(item => `
+          <li>${escapeHtml(item.name)}${item.reason ? ` <span class="import-reason">(${escapeHtml(item.reason)})</span>` : ''}</li>
+        `).join('')}
+      </ul>
+    </details>
+  `).join('');
+  reportEl.classList.toggle('hidden', sections.length === 0);
+}
+
+// Rebuild the full-text index and re-embed every session with the saved provider settings
+async function rebuildSearchIndex() {
+  const button = document.getElementById('rebuildIndexBtn');
+  button.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'rebuildSearchIndex' });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    const embeddingNote = response.embedded ? ' (with embeddings)' : '';
+    showStatus(`Search index rebuilt for ${response.indexed} sessions${embeddingNote}`, 'success');
+  } catch (error) {
+    showStatus('Failed to rebuild search index: ' + error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
 async function clearAllSessions() {
   if (!confirm('Are you sure you want to delete ALL saved sessions? This cannot be undone.')) {
     return;
@@ -123,7 +341,7 @@ async function clearAllSessions() {
   }
 
   try {
-    await chrome.storage.local.set({ sessions: [] });
+    await StorageService.clearSessions();
     showStatus('All sessions cleared successfully!', 'success');
   } catch (error) {
     showStatus('Failed to clear sessions: ' + error.message, 'error');
@@ -140,3 +358,9 @@ function showStatus(message, type) {
     statusEl.classList.add('hidden');
   }, 3000);
 }
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -4,14 +4,20 @@ document.addEventListener('DOMContentLoaded', init);
 
 let sessions = [];
 let settings = {};
+// Scopes in the capture dropdown, by option index
+let captureScopes = [];
+// Last search response, kept so archiving or deleting a result updates it
+let searchResponse = null;
 
 async function init() {
   // Load settings and sessions
   await loadSettings();
   await loadSessions();
+  await renderCaptureScopes();
 
   // Set up event listeners
-  document.getElementById('saveSessionBtn').addEventListener('click', saveSession);
+  document.getElementById('saveSessionBtn').addEventListener('click', () => saveSession());
+  document.getElementById('saveCloseBtn').addEventListener('click', () => saveSession({ closeTabs: true }));
   document.getElementById('searchBtn').addEventListener('click', performSearch);
   document.getElementById('searchInput').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') performSearch();
@@ -27,6 +33,11 @@ async function init() {
 
   // Render sessions
   renderSessions();
+
+  // Keep showing progress for AI jobs still queued or running in the background
+  if (sessions.some(s => s.generatingContext)) {
+    startAutoRefresh();
+  }
 }
 
 async function loadSettings() {
@@ -34,38 +45,76 @@ async function loadSettings() {
   settings = result.settings || {};
 }
 
+// Session list only needs metadata, not every tab
 async function loadSessions() {
-  const result = await chrome.storage.local.get(['sessions']);
-  sessions = result.sessions || [];
+  sessions = await StorageService.getSessionIndex();
 }
 
-async function saveSessions() {
-  await chrome.storage.local.set({ sessions });
+// Scopes the tabs can be saved from: all or the current window, the
+// selected tabs, each native group in this window, and the current tab's domain
+async function renderCaptureScopes() {
+  captureScopes = [
+    { label: 'All windows', scope: { type: 'allWindows' } },
+    { label: 'Current window', scope: { type: 'currentWindow' } },
+    { label: 'Selected tabs', scope: { type: 'selected' } }
+  ];
+
+  if (chrome.tabGroups) {
+    const groups = await chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT });
+    groups.forEach(group => {
+      captureScopes.push({ label: `Group: ${group.title || 'Untitled'}`, scope: { type: 'group', groupId: group.id } });
+    });
+  }
+
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const domain = activeTab ? getDomain(activeTab.url) : '';
+  if (domain) {
+    captureScopes.push({ label: `Tabs on ${domain}`, scope: { type: 'domain', domain } });
+  }
+
+  const select = document.getElementById('captureScope');
+  select.innerHTML = captureScopes
+    .map((option, i) => `<option value="${i}">${escapeHtml(option.label)}</option>`)
+    .join('');
+  // The multiWindow setting picks the default
+  select.value = settings.multiWindow === false ? '1' : '0';
+}
+
+function getDomain(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return /^https?:$/.test(protocol) ? hostname.replace(/^www\./, '') : '';
+  } catch (error) {
+    return '';
+  }
 }
 
-async function saveSession() {
+// With closeTabs, the saved tabs are closed afterwards (Save & Close)
+async function saveSession({ closeTabs = false } = {}) {
   try {
     showLoading(true);
     hideError();
 
-    // Capture current tabs
-    const response = await chrome.runtime.sendMessage({ action: 'captureSession' });
+    const { scope } = captureScopes[document.getElementById('captureScope').value];
+
+    // The background captures, stores and queues AI work for the session
+    const response = await chrome.runtime.sendMessage({ action: 'saveSession', scope, closeTabs });
 
     if (response.error) {
       throw new Error(response.error);
     }
 
-    // Add to sessions array
-    sessions.unshift(response);
-    await saveSessions();
-
-    // Generate AI context in background
-    generateContextForSession(response.id);
+    await loadSessions();
 
     showLoading(false);
     renderSessions();
     switchTab('sessions');
 
+    if (closeTabs) {
+      showError(`Session saved! (${response.closedTabs} tab${response.closedTabs === 1 ? '' : 's'} closed)`);
+      setTimeout(hideError, 3000);
+    }
+
     // Auto-refresh every 2 seconds to show generation progress
     startAutoRefresh();
   } catch (error) {
@@ -105,50 +154,6 @@ function startAutoRefresh() {
   }, 60000);
 }
 
-async function generateContextForSession(sessionId) {
-  try {
-    console.log('generateContextForSession called for:', sessionId);
-    console.log('Auto-context enabled:', settings.autoContext);
-
-    // Check if auto-context is enabled
-    if (!settings.autoContext) {
-      console.log('Auto-context is disabled, skipping');
-      return;
-    }
-
-    // Find the session
-    const session = sessions.find(s => s.id === sessionId);
-    if (!session) {
-      console.log('Session not found:', sessionId);
-      return;
-    }
-
-    console.log('Requesting context generation from background script...');
-
-    // Generate context in background
-    const response = await chrome.runtime.sendMessage({
-      action: 'generateContext',
-      sessionId: sessionId,
-      tabs: session.tabs
-    });
-
-    if (response.error) {
-      console.error('Failed to generate context:', response.error);
-      return;
-    }
-
-    console.log('Context generated successfully:', response.context);
-
-    // DON'T update local session and save - the background script already saved everything
-    // Just reload from storage to get the complete updated session with tab groups
-    await loadSessions();
-    renderSessions();
-    console.log('Session reloaded from storage with all updates');
-  } catch (error) {
-    console.error('Error generating context:', error);
-  }
-}
-
 async function performSearch() {
   const query = document.getElementById('searchInput').value.trim();
 
@@ -171,7 +176,8 @@ async function performSearch() {
       throw new Error(response.error);
     }
 
-    renderSearchResults(response.results);
+    searchResponse = response;
+    renderSearchResults(response.results, response.aiFallback);
     switchTab('search');
     showLoading(false);
 
@@ -187,68 +193,114 @@ async function performSearch() {
   }
 }
 
+// Archived sessions (see the afterRestore setting) get their own tab
 function renderSessions() {
-  const container = document.getElementById('sessionsList');
+  renderSessionList(
+    document.getElementById('sessionsList'),
+    sessions.filter(s => !s.archived),
+    'No saved sessions yet. Save your first session!'
+  );
+  renderSessionList(
+    document.getElementById('archiveList'),
+    sessions.filter(s => s.archived),
+    'Archived sessions will appear here'
+  );
+}
 
-  if (sessions.length === 0) {
-    container.innerHTML = '<p class="empty-state">No saved sessions yet. Save your first session!</p>';
+function renderSessionList(container, list, emptyText) {
+  if (list.length === 0) {
+    container.innerHTML = `<p class="empty-state">${emptyText}</p>`;
     return;
   }
 
-  container.innerHTML = sessions.map(session => createSessionCard(session)).join('');
+  container.innerHTML = list.map(session => createSessionCard(session)).join('');
 
   // Add event listeners to session cards
   container.querySelectorAll('.session-card').forEach(card => {
-    const sessionId = card.dataset.sessionId;
+    bindSessionCard(card, card.dataset.sessionId);
+  });
+}
 
-    // Click on card to view details
-    card.addEventListener('click', () => {
-      window.location.href = `session-detail.html?id=${sessionId}`;
-    });
+// Card click opens the details; the buttons act on the session
+function bindSessionCard(card, sessionId) {
+  card.addEventListener('click', () => {
+    window.location.href = `session-detail.html?id=${sessionId}`;
+  });
 
-    card.querySelector('.restore-btn').addEventListener('click', (e) => {
-      e.stopPropagation();
-      restoreSession(sessionId);
-    });
+  card.querySelector('.restore-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    restoreSession(sessionId);
+  });
+
+  card.querySelector('.delete-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    deleteSession(sessionId);
+  });
 
-    card.querySelector('.delete-btn').addEventListener('click', (e) => {
+  const unarchiveBtn = card.querySelector('.unarchive-btn');
+  if (unarchiveBtn) {
+    unarchiveBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      deleteSession(sessionId);
+      unarchiveSession(sessionId);
     });
-  });
+  }
 }
 
-function renderSearchResults(results) {
+function renderSearchResults(results, aiFallback = null) {
   const container = document.getElementById('searchResults');
 
+  // AI ranking failed, so these results are in plain text-match order
+  const fallbackHtml = aiFallback
+    ? `<div class="search-notice">⚠️ AI ranking unavailable (${escapeHtml(aiFallback)}). Showing text matches instead.</div>`
+    : '';
+
   if (results.length === 0) {
-    container.innerHTML = '<p class="empty-state">No sessions found matching your query</p>';
+    container.innerHTML = fallbackHtml + '<p class="empty-state">No sessions found matching your query</p>';
     return;
   }
 
-  container.innerHTML = results.map(session => createSessionCard(session)).join('');
+  container.innerHTML = fallbackHtml + results.map(session => createSessionCard(session)).join('');
 
   // Add event listeners
   container.querySelectorAll('.session-card').forEach(card => {
     const sessionId = card.dataset.sessionId;
-
-    // Click on card to view details
-    card.addEventListener('click', () => {
-      window.location.href = `session-detail.html?id=${sessionId}`;
-    });
-
-    card.querySelector('.restore-btn').addEventListener('click', (e) => {
-      e.stopPropagation();
-      restoreSession(sessionId);
+    const result = results.find(r => r.id === sessionId);
+
+    card.querySelectorAll('.tab-hit').forEach(hitEl => {
+      const hit = result.matchedTabs[hitEl.dataset.hitIndex];
+
+      hitEl.querySelector('.open-tab-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        openTab(hit.url);
+      });
+
+      const containerBtn = hitEl.querySelector('.open-in-container-btn');
+      if (containerBtn) {
+        containerBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          openTab(hit.url, hit.cookieStoreId);
+        });
+      }
     });
 
-    card.querySelector('.delete-btn').addEventListener('click', (e) => {
-      e.stopPropagation();
-      deleteSession(sessionId);
-    });
+    bindSessionCard(card, sessionId);
   });
 }
 
+// Drop deleted sessions from the last search's results and pick up
+// archive changes, without running the search (and AI ranking) again
+function refreshSearchResults() {
+  if (!searchResponse) {
+    return;
+  }
+
+  const byId = new Map(sessions.map(s => [s.id, s]));
+  searchResponse.results = searchResponse.results
+    .filter(result => byId.has(result.id))
+    .map(result => ({ ...result, archived: byId.get(result.id).archived }));
+  renderSearchResults(searchResponse.results, searchResponse.aiFallback);
+}
+
 function createSessionCard(session) {
   const date = new Date(session.timestamp).toLocaleDateString();
   const time = new Date(session.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -270,6 +322,13 @@ function createSessionCard(session) {
     groupsHtml = `<div class="session-groups">🏷️ ${escapeHtml(groupNames)}</div>`;
   }
 
+  // Why the AI ranked this search result where it did
+  let relevanceHtml = '';
+  if (session.relevance) {
+    const reason = session.relevance.reason ? ` · ${escapeHtml(session.relevance.reason)}` : '';
+    relevanceHtml = `<div class="session-relevance">🤖 ${session.relevance.score}% match${reason}</div>`;
+  }
+
   // Window count
   const windowCount = session.windowCount || 1;
   const windowText = windowCount > 1 ? `🪟 ${windowCount} windows` : '';
@@ -280,9 +339,11 @@ function createSessionCard(session) {
         <div class="session-title">${escapeHtml(session.name)}</div>
         <div class="session-actions">
           <button class="restore-btn" title="Restore">🔄</button>
+          ${session.archived ? '<button class="unarchive-btn" title="Move back to sessions">↩️</button>' : ''}
           <button class="delete-btn" title="Delete">🗑️</button>
         </div>
       </div>
+      ${relevanceHtml}
       ${contextHtml}
       ${groupsHtml}
       <div class="session-meta">
@@ -291,10 +352,72 @@ function createSessionCard(session) {
         <span>📑 ${session.tabCount} tabs</span>
         ${windowText ? `<span>${windowText}</span>` : ''}
       </div>
+      ${session.matchedTabs ? createTabHits(session) : ''}
     </div>
   `;
 }
 
+// Matching tabs inside a search result, each openable on its own
+function createTabHits(session) {
+  if (session.matchedTabs.length === 0) {
+    return '';
+  }
+
+  const hitsHtml = session.matchedTabs.map((hit, i) => {
+    // Tabs captured in a Firefox container can be reopened in it (not the
+    // default or private stores, like isContainerTab in the background)
+    const inContainer = !!hit.cookieStoreId && hit.cookieStoreId.startsWith('firefox-container-');
+
+    return `
+      <div class="tab-hit" data-hit-index="${i}">
+        <div class="tab-hit-text">
+          <div class="tab-hit-title">${highlightText(hit.title || hit.url, hit.titleRanges)}</div>
+          <div class="tab-hit-url">${highlightText(hit.url, hit.urlRanges)}</div>
+        </div>
+        <button class="open-tab-btn" title="Open just this tab">↗️</button>
+        ${inContainer ? '<button class="open-in-container-btn" title="Open in its container">📦</button>' : ''}
+      </div>
+    `;
+  }).join('');
+
+  const moreCount = session.matchedTabCount - session.matchedTabs.length;
+  const moreHtml = moreCount > 0
+    ? `<div class="tab-hits-more">+${moreCount} more matching tab${moreCount > 1 ? 's' : ''}</div>`
+    : '';
+
+  return `<div class="tab-hits">${hitsHtml}${moreHtml}</div>`;
+}
+
+// Escape text and wrap the [start, end] ranges in <mark>
+function highlightText(text, ranges = []) {
+  let html = '';
+  let position = 0;
+
+  for (const [start, end] of ranges) {
+    html += escapeHtml(text.slice(position, start));
+    html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  }
+
+  return html + escapeHtml(text.slice(position));
+}
+
+async function openTab(url, cookieStoreId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'openTab',
+      url,
+      cookieStoreId
+    });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    showError('Failed to open tab: ' + error.message);
+  }
+}
+
 async function restoreSession(sessionId) {
   try {
     showLoading(true);
@@ -310,10 +433,24 @@ async function restoreSession(sessionId) {
     showLoading(false);
 
     // Show info if some tabs were skipped
+    const notes = [];
+    if (response.deduplicated > 0) {
+      notes.push(`${response.deduplicated} already open`);
+    }
     if (response.skipped > 0) {
-      showError(`Session restored! (${response.skipped} protected browser tab${response.skipped > 1 ? 's' : ''} skipped)`);
+      notes.push(`${response.skipped} protected browser tab${response.skipped > 1 ? 's' : ''} skipped`);
+    }
+    if (notes.length > 0) {
+      showError(`Session restored! (${notes.join(', ')})`);
       setTimeout(hideError, 3000);
     }
+
+    // The session may have been archived or deleted after restoring
+    if (response.afterRestore !== 'keep') {
+      await loadSessions();
+      renderSessions();
+      refreshSearchResults();
+    }
   } catch (error) {
     showError('Failed to restore session: ' + error.message);
     showLoading(false);
@@ -325,9 +462,18 @@ async function deleteSession(sessionId) {
     return;
   }
 
+  // StorageService also drops the session's embedding
+  await StorageService.deleteSession(sessionId);
   sessions = sessions.filter(s => s.id !== sessionId);
-  await saveSessions();
   renderSessions();
+  refreshSearchResults();
+}
+
+async function unarchiveSession(sessionId) {
+  await StorageService.updateSession(sessionId, { archived: false, archivedAt: null });
+  await loadSessions();
+  renderSessions();
+  refreshSearchResults();
 }
 
 function switchTab(tabName) {
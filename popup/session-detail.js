@@ -1,9 +1,10 @@
 // Session detail page script
 
-const CONTAINER_COLORS = ['blue', 'orange', 'green', 'purple', 'red', 'yellow', 'pink', 'turquoise'];
-
 let sessionId = null;
 let session = null;
+let refreshTimer = null;
+// Positions of the tabs ticked in selection mode
+let selectedTabs = null;
 
 document.addEventListener('DOMContentLoaded', init);
 
@@ -19,19 +20,40 @@ async function init() {
 
   await loadSession();
   renderSession();
+  await renderRestoreOptions();
 
   // Set up event listeners
   document.getElementById('backBtn').addEventListener('click', () => {
     window.location.href = 'popup.html';
   });
 
-  document.getElementById('restoreBtn').addEventListener('click', restoreSession);
+  document.getElementById('restoreBtn').addEventListener('click', () => restoreSession());
   document.getElementById('restoreContainersBtn').addEventListener('click', restoreWithContainers);
+  document.getElementById('selectTabsBtn').addEventListener('click', () => setSelectionMode(true));
+  document.getElementById('cancelSelectionBtn').addEventListener('click', () => setSelectionMode(false));
+  document.getElementById('restoreSelectedBtn').addEventListener('click', restoreSelectedTabs);
+  document.getElementById('windowActions').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-window-index]');
+    if (button) {
+      restoreSession({ windowIndex: parseInt(button.dataset.windowIndex, 10) });
+    }
+  });
+  document.getElementById('cancelJobBtn').addEventListener('click', cancelJob);
+  document.getElementById('requeueJobBtn').addEventListener('click', requeueJob);
+  document.getElementById('copyMarkdownBtn').addEventListener('click', copyAsMarkdown);
+
+  // Editing
+  document.getElementById('renameSessionBtn').addEventListener('click', renameSession);
+  document.getElementById('editContextBtn').addEventListener('click', () => toggleContextEditor(true));
+  document.getElementById('cancelContextBtn').addEventListener('click', () => toggleContextEditor(false));
+  document.getElementById('saveContextBtn').addEventListener('click', saveContext);
+  document.getElementById('addGroupBtn').addEventListener('click', addGroup);
+  setupTabEditing(document.getElementById('tabGroups'));
+  setupTabEditing(document.getElementById('ungroupedTabs'));
 }
 
 async function loadSession() {
-  const sessions = await StorageService.getSessions();
-  session = sessions.find(s => s.id === sessionId);
+  session = await StorageService.getSession(sessionId);
 
   console.log('Loading session:', sessionId);
   console.log('Session data:', session);
@@ -63,27 +85,30 @@ function renderSession() {
     contextEl.style.color = '#999';
   }
 
+  // Queued/running AI jobs can be cancelled; anything else can be re-queued
+  document.getElementById('cancelJobBtn').classList.toggle('hidden', !session.generatingContext);
+  document.getElementById('requeueJobBtn').classList.toggle('hidden', !!session.generatingContext);
+
   // Set metadata
   const date = new Date(session.timestamp).toLocaleDateString();
   const time = new Date(session.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-  document.getElementById('sessionDate').textContent = `📅 ${date} ${time}`;
+  document.getElementById('sessionDate').textContent = `📅 ${date} ${time}${session.archived ? ' · 🗄️ Archived' : ''}`;
   document.getElementById('sessionTabs').textContent = `📑 ${session.tabCount} tabs`;
 
-  if (session.windowCount > 1) {
-    document.getElementById('sessionWindows').textContent = `🪟 ${session.windowCount} windows`;
-  }
+  document.getElementById('sessionWindows').textContent =
+    session.windowCount > 1 ? `🪟 ${session.windowCount} windows` : '';
+  renderWindowActions();
 
-  // Render tab groups if available
-  console.log('Checking tab groups...', session.tabGroups);
-  if (session.tabGroups && session.tabGroups.length > 0) {
-    console.log('Rendering tab groups');
+  // A running AI job rewrites the groups for the tabs it started with, so
+  // tab and group edits wait until it finishes or is cancelled
+  document.body.classList.toggle('editing-locked', !!session.generatingContext);
+
+  const hasGroups = session.tabGroups && session.tabGroups.length > 0;
+  document.getElementById('tabGroups').classList.toggle('hidden', !hasGroups);
+  if (hasGroups) {
     renderTabGroups();
-    document.getElementById('ungroupedTabs').classList.add('hidden');
-  } else {
-    console.log('No tab groups, rendering all tabs');
-    renderAllTabs();
-    document.getElementById('tabGroups').classList.add('hidden');
   }
+  renderUngroupedTabs(hasGroups);
 
   // Add error handlers for favicon images (to fix CSP error)
   setTimeout(() => {
@@ -95,33 +120,52 @@ function renderSession() {
   }, 0);
 
   // Auto-refresh if still generating
+  clearTimeout(refreshTimer);
   if (session.generatingContext) {
-    setTimeout(async () => {
+    refreshTimer = setTimeout(async () => {
       await loadSession();
       renderSession();
     }, 2000);
   }
 }
 
+// One restore button per saved window
+function renderWindowActions() {
+  const container = document.getElementById('windowActions');
+  const windowCount = session.windowCount || 1;
+  container.classList.toggle('hidden', windowCount < 2);
+
+  container.innerHTML = Array.from({ length: windowCount }, (_, windowIndex) => {
+    const tabCount = session.tabs.filter(tab => (tab.windowIndex || 0) === windowIndex).length;
+    return `<button class="secondary-btn" data-window-index="${windowIndex}">🔄 Window ${windowIndex + 1} (${tabCount} tabs)</button>`;
+  }).join('');
+}
+
 function renderTabGroups() {
   const container = document.getElementById('tabGroups');
   container.innerHTML = '';
 
   session.tabGroups.forEach((group, index) => {
-    const color = CONTAINER_COLORS[index % CONTAINER_COLORS.length];
+    const color = TabGroupSchema.getGroupColor(group, index);
     const groupEl = document.createElement('div');
     groupEl.className = `tab-group color-${color}`;
-
-    const tabsInGroup = group.tabIndices.map(idx => session.tabs[idx - 1]).filter(t => t);
+    groupEl.dataset.groupIndex = index;
 
     groupEl.innerHTML = `
       <div class="group-header">
         <div class="group-color-dot"></div>
         <div class="group-name">${escapeHtml(group.name)}</div>
-        <div class="group-count">${tabsInGroup.length} tabs</div>
+        <div class="group-count">${group.tabIndices.length} tabs</div>
+        <button class="icon-btn group-restore-btn" title="Restore this group">🔄</button>
+        <div class="edit-controls">
+          <button class="icon-btn group-rename-btn" title="Rename group">✏️</button>
+          <button class="icon-btn group-delete-btn" title="Delete group (keeps its tabs)">🗑️</button>
+        </div>
       </div>
+      ${chrome.contextualIdentities ? createContainerOptions(group) : ''}
       <div class="tabs-list">
-        ${tabsInGroup.map(tab => createTabItem(tab)).join('')}
+        ${group.tabIndices.map(idx => createTabItem(idx - 1)).join('') ||
+          '<div class="drop-hint">Drag tabs here</div>'}
       </div>
     `;
 
@@ -129,29 +173,237 @@ function renderTabGroups() {
   });
 }
 
-function renderAllTabs() {
-  const container = document.querySelector('#ungroupedTabs .tabs-list');
-  container.innerHTML = session.tabs.map(tab => createTabItem(tab)).join('');
+// Color and icon pickers for the container a group restores into (Firefox)
+function createContainerOptions(group) {
+  const options = (values, selected) => values
+    .map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`)
+    .join('');
+
+  return `
+    <div class="container-options edit-controls">
+      <label>Container
+        <select class="container-color-select">
+          <option value="">default color</option>
+          ${options(CONTAINER_COLORS, group.containerColor)}
+        </select>
+      </label>
+      <select class="container-icon-select">
+        <option value="">default icon</option>
+        ${options(CONTAINER_ICONS, group.containerIcon)}
+      </select>
+    </div>
+  `;
 }
 
-function createTabItem(tab) {
+// Tabs in no group; the whole list when the session has no groups
+function renderUngroupedTabs(hasGroups) {
+  const grouped = new Set((session.tabGroups || []).flatMap(group => group.tabIndices));
+  const positions = session.tabs.map((_, i) => i).filter(i => !grouped.has(i + 1));
+
+  document.querySelector('#ungroupedTabs h2').textContent = hasGroups ? 'Ungrouped Tabs' : 'All Tabs';
+  document.querySelector('#ungroupedTabs .tabs-list').innerHTML =
+    positions.map(position => createTabItem(position)).join('') ||
+    '<div class="drop-hint">Drag tabs here to take them out of their group</div>';
+}
+
+function createTabItem(position) {
+  const tab = session.tabs[position];
   const defaultIcon = 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 width=%2216%22 height=%2216%22><rect width=%2216%22 height=%2216%22 fill=%22%23ccc%22/></svg>';
   const iconSrc = tab.favIconUrl || defaultIcon;
 
   return `
-    <div class="tab-item">
+    <div class="tab-item" draggable="true" data-position="${position}">
+      <input type="checkbox" class="tab-select" ${selectedTabs && selectedTabs.has(position) ? 'checked' : ''}>
       <img class="tab-icon" src="${iconSrc}" data-fallback="${defaultIcon}">
       <div class="tab-title">${escapeHtml(tab.title)}</div>
-      <div class="tab-url">${escapeHtml(new URL(tab.url).hostname)}</div>
+      <div class="tab-url">${escapeHtml(getHostname(tab.url))}</div>
+      <button class="icon-btn tab-remove-btn edit-controls" title="Remove tab from session">✕</button>
     </div>
   `;
 }
 
-async function restoreSession() {
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Save edited fields and redraw. updates comes from SessionEditor.
+async function saveEdits(updates, { reindex = false } = {}) {
+  try {
+    session = await StorageService.updateSession(sessionId, updates);
+    renderSession();
+
+    // The embedding covers the name and context, so refresh it when they change
+    if (reindex) {
+      chrome.runtime.sendMessage({ action: 'indexSession', sessionId }).catch(error => {
+        console.warn('Failed to re-embed session:', error);
+      });
+    }
+  } catch (error) {
+    alert('Failed to save changes: ' + error.message);
+  }
+}
+
+// Run a SessionEditor edit, reporting invalid input instead of saving
+function applyEdit(edit, options) {
+  let updates;
+  try {
+    updates = edit();
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  return saveEdits(updates, options);
+}
+
+function renameSession() {
+  const name = prompt('Session name:', session.name);
+  if (name === null) return;
+  applyEdit(() => SessionEditor.rename(session, name), { reindex: true });
+}
+
+function toggleContextEditor(open) {
+  document.getElementById('contextEditor').classList.toggle('hidden', !open);
+  document.getElementById('sessionContext').classList.toggle('hidden', open);
+  if (open) {
+    const input = document.getElementById('contextInput');
+    input.value = session.context || '';
+    input.focus();
+  }
+}
+
+async function saveContext() {
+  const context = document.getElementById('contextInput').value;
+  toggleContextEditor(false);
+  await applyEdit(() => SessionEditor.setContext(session, context), { reindex: true });
+}
+
+function addGroup() {
+  const name = prompt('New group name:');
+  if (name === null) return;
+  applyEdit(() => SessionEditor.addGroup(session, name));
+}
+
+// Clicks and drag and drop for the tabs and groups inside container. Set up
+// once; the handlers look at data attributes so re-rendering keeps them valid.
+function setupTabEditing(container) {
+  container.addEventListener('click', (e) => {
+    const groupEl = e.target.closest('.tab-group');
+    const groupIndex = groupEl ? parseInt(groupEl.dataset.groupIndex, 10) : null;
+    const tabEl = e.target.closest('.tab-item');
+
+    if (e.target.closest('.group-restore-btn')) {
+      restoreSession({ groupIndex });
+      return;
+    }
+
+    // In selection mode a click anywhere on a tab ticks it
+    if (selectedTabs) {
+      if (tabEl) {
+        toggleTabSelection(parseInt(tabEl.dataset.position, 10));
+      }
+      return;
+    }
+
+    if (session.generatingContext) return;
+
+    if (e.target.closest('.tab-remove-btn')) {
+      const position = parseInt(e.target.closest('.tab-item').dataset.position, 10);
+      applyEdit(() => SessionEditor.removeTab(session, position));
+    } else if (e.target.closest('.group-rename-btn')) {
+      const name = prompt('Group name:', session.tabGroups[groupIndex].name);
+      if (name === null) return;
+      applyEdit(() => SessionEditor.renameGroup(session, groupIndex, name));
+    } else if (e.target.closest('.group-delete-btn')) {
+      applyEdit(() => SessionEditor.deleteGroup(session, groupIndex));
+    }
+  });
+
+  container.addEventListener('change', (e) => {
+    const optionsEl = e.target.closest('.container-options');
+    if (!optionsEl || session.generatingContext) return;
+
+    const groupIndex = parseInt(e.target.closest('.tab-group').dataset.groupIndex, 10);
+    applyEdit(() => SessionEditor.setGroupContainerStyle(session, groupIndex, {
+      color: optionsEl.querySelector('.container-color-select').value,
+      icon: optionsEl.querySelector('.container-icon-select').value
+    }));
+  });
+
+  container.addEventListener('dragstart', (e) => {
+    const tabEl = e.target.closest('.tab-item');
+    if (!tabEl || session.generatingContext || selectedTabs) {
+      e.preventDefault();
+      return;
+    }
+    e.dataTransfer.setData('text/plain', tabEl.dataset.position);
+    e.dataTransfer.effectAllowed = 'move';
+    tabEl.classList.add('dragging');
+  });
+
+  container.addEventListener('dragend', (e) => {
+    const tabEl = e.target.closest('.tab-item');
+    if (tabEl) tabEl.classList.remove('dragging');
+  });
+
+  container.addEventListener('dragover', (e) => {
+    if (session.generatingContext) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  });
+
+  // Dropping on a tab puts the dragged tab before it, in that tab's group;
+  // dropping elsewhere in a group or the ungrouped list only moves it there
+  container.addEventListener('drop', (e) => {
+    e.preventDefault();
+    const position = parseInt(e.dataTransfer.getData('text/plain'), 10);
+    if (Number.isNaN(position) || session.generatingContext) return;
+
+    const groupEl = e.target.closest('.tab-group');
+    const groupIndex = groupEl ? parseInt(groupEl.dataset.groupIndex, 10) : null;
+    const targetEl = e.target.closest('.tab-item');
+    const beforePosition = targetEl ? parseInt(targetEl.dataset.position, 10) : null;
+
+    applyEdit(() => {
+      const updates = SessionEditor.setTabGroup(session, position, groupIndex);
+      if (beforePosition !== null && beforePosition !== position) {
+        Object.assign(updates, SessionEditor.moveTab({ ...session, ...updates }, position, beforePosition));
+      }
+      return updates;
+    });
+  });
+}
+
+// Restore mode and after-restore pickers, starting at the defaults from
+// the settings
+async function renderRestoreOptions() {
+  const settings = await StorageService.getSettings();
+  const select = document.getElementById('restoreMode');
+  select.innerHTML = Object.entries(RESTORE_MODES)
+    .map(([id, label]) => `<option value="${id}">${label}</option>`)
+    .join('');
+  select.value = RESTORE_MODES[settings.restoreMode] ? settings.restoreMode : 'newWindow';
+
+  const afterSelect = document.getElementById('afterRestore');
+  afterSelect.innerHTML = Object.entries(AFTER_RESTORE_ACTIONS)
+    .map(([id, label]) => `<option value="${id}">${label}</option>`)
+    .join('');
+  afterSelect.value = AFTER_RESTORE_ACTIONS[settings.afterRestore] ? settings.afterRestore : 'keep';
+}
+
+// filter limits the restore to a group, a window or chosen tabs
+// (see getRestoreTabIndices in the background script)
+async function restoreSession(filter) {
   try {
     const response = await chrome.runtime.sendMessage({
       action: 'restoreSession',
-      sessionId: sessionId
+      sessionId: sessionId,
+      filter,
+      mode: document.getElementById('restoreMode').value,
+      afterRestore: document.getElementById('afterRestore').value
     });
 
     if (response.error) {
@@ -159,30 +411,84 @@ async function restoreSession() {
       return;
     }
 
-    if (response.skipped > 0) {
-      alert(`Session restored!\n${response.restored} tabs restored\n${response.skipped} protected tabs skipped`);
+    if (response.skipped > 0 || response.deduplicated > 0) {
+      const notes = [`${response.restored} tabs restored`];
+      if (response.deduplicated > 0) notes.push(`${response.deduplicated} already open tabs skipped`);
+      if (response.skipped > 0) notes.push(`${response.skipped} protected tabs skipped`);
+      alert(`Session restored!\n${notes.join('\n')}`);
     }
+    await handleAfterRestore(response);
   } catch (error) {
     alert('Failed to restore session: ' + error.message);
   }
 }
 
+// A fully restored session may have been archived or deleted (see the
+// "After restoring all tabs" picker)
+async function handleAfterRestore(response) {
+  if (response.afterRestore === 'delete') {
+    window.location.href = 'popup.html';
+  } else if (response.afterRestore === 'archive') {
+    await loadSession();
+    renderSession();
+  }
+}
+
+function setSelectionMode(enabled) {
+  selectedTabs = enabled ? new Set() : null;
+  document.body.classList.toggle('selecting', enabled);
+  document.getElementById('selectionBar').classList.toggle('hidden', !enabled);
+  renderSession();
+  updateSelectionCount();
+}
+
+function toggleTabSelection(position) {
+  if (selectedTabs.has(position)) {
+    selectedTabs.delete(position);
+  } else {
+    selectedTabs.add(position);
+  }
+
+  const checkbox = document.querySelector(`.tab-item[data-position="${position}"] .tab-select`);
+  checkbox.checked = selectedTabs.has(position);
+  updateSelectionCount();
+}
+
+function updateSelectionCount() {
+  const count = selectedTabs ? selectedTabs.size : 0;
+  document.getElementById('selectionCount').textContent = `${count} tab${count === 1 ? '' : 's'} selected`;
+  document.getElementById('restoreSelectedBtn').disabled = count === 0;
+}
+
+async function restoreSelectedTabs() {
+  const tabIndices = [...selectedTabs].map(position => position + 1);
+  await restoreSession({ tabIndices });
+  setSelectionMode(false);
+}
+
 async function restoreWithContainers() {
   if (!session.tabGroups || session.tabGroups.length === 0) {
     alert('This session has no tab groups. Please use the regular restore button.');
     return;
   }
 
+  // Chrome and Edge have native tab groups instead of containers
+  if (!chrome.contextualIdentities && chrome.tabGroups) {
+    await restoreWithNativeGroups();
+    return;
+  }
+
   try {
     // Check if contextualIdentities API is available (Firefox only)
     if (!chrome.contextualIdentities) {
-      alert('Container tabs are only available in Firefox.\nPlease use the regular restore button instead.');
+      alert('Colored groups need Firefox containers or Chrome/Edge tab groups.\nPlease use the regular restore button instead.');
       return;
     }
 
     const response = await chrome.runtime.sendMessage({
       action: 'restoreWithContainers',
-      sessionId: sessionId
+      sessionId: sessionId,
+      afterRestore: document.getElementById('afterRestore').value
     });
 
     if (response.error) {
@@ -190,12 +496,80 @@ async function restoreWithContainers() {
       return;
     }
 
-    alert(`Session restored with colored tab groups!\n${response.containersCreated} containers created\n${response.tabsRestored} tabs restored\n${response.windowsCreated} windows created`);
+    alert(`Session restored with colored tab groups!\n${response.containersCreated} containers created, ${response.containersReused} reused\n${response.tabsRestored} tabs restored\n${response.windowsCreated} windows created`);
+    await handleAfterRestore(response);
   } catch (error) {
     alert('Failed to restore with containers: ' + error.message);
   }
 }
 
+async function restoreWithNativeGroups() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'restoreWithNativeGroups',
+      sessionId: sessionId,
+      afterRestore: document.getElementById('afterRestore').value
+    });
+
+    if (response.error) {
+      alert('Failed to restore with tab groups: ' + response.error);
+      return;
+    }
+
+    const skippedNote = response.skipped > 0 ? `\n${response.skipped} protected tabs skipped` : '';
+    alert(`Session restored with tab groups!\n${response.groupsCreated} groups created\n${response.restored} tabs restored${skippedNote}`);
+    await handleAfterRestore(response);
+  } catch (error) {
+    alert('Failed to restore with tab groups: ' + error.message);
+  }
+}
+
+async function cancelJob() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'cancelJob', sessionId });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    await loadSession();
+    renderSession();
+  } catch (error) {
+    alert('Failed to cancel AI generation: ' + error.message);
+  }
+}
+
+async function requeueJob() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'requeueJob', sessionId });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    // renderSession keeps refreshing while the job is queued or running
+    await loadSession();
+    renderSession();
+  } catch (error) {
+    alert('Failed to re-queue AI generation: ' + error.message);
+  }
+}
+
+// Session, groups and linked tabs as a Markdown outline for docs and tickets
+async function copyAsMarkdown() {
+  const button = document.getElementById('copyMarkdownBtn');
+
+  try {
+    await navigator.clipboard.writeText(SessionExporter.toMarkdown([session]));
+    button.textContent = '✓ Copied';
+    setTimeout(() => {
+      button.textContent = '📋 Copy as Markdown';
+    }, 2000);
+  } catch (error) {
+    alert('Failed to copy: ' + error.message);
+  }
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
@@ -0,0 +1,494 @@
+// AI provider adapters used by AIService
+// Each adapter knows how to shape a request for its API and how to read the
+// reply text back out, so AIService only deals with prompts and results.
+
+// The provider answered, but not in the shape we asked for
+class AIResponseFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AIResponseFormatError';
+  }
+}
+
+// HTTP statuses worth retrying: rate limits, overload and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+const DEFAULT_MAX_CONCURRENT_REQUESTS = 2;
+
+// The provider couldn't be reached or answered with an error status.
+// status is null for network failures.
+class AIRequestError extends Error {
+  constructor(message, { status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'AIRequestError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = status === null || RETRYABLE_STATUSES.includes(status);
+  }
+}
+
+// Caps how many provider requests run at once in this context; the rest wait
+class RequestLimiter {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(task) {
+    while (this.active >= this.limit) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    this.active++;
+    try {
+      return await task();
+    } finally {
+      this.active--;
+      const next = this.waiting.shift();
+      if (next) next();
+    }
+  }
+}
+
+class AIProvider {
+  // signal (optional) is an AbortSignal that cancels in-flight requests
+  constructor(settings, { signal = null } = {}) {
+    this.settings = settings;
+    this.signal = signal;
+  }
+
+  // Build the provider adapter selected in settings
+  static create(settings, options = {}) {
+    return new (AIProvider.getInfo(settings).adapter)(settings, options);
+  }
+
+  static getInfo(settings) {
+    return AI_PROVIDERS[settings.aiProvider] || AI_PROVIDERS.anthropic;
+  }
+
+  // Returns an error message if the settings can't be used to reach the
+  // provider, or null when it's ready. Local servers need a URL, not a key.
+  static getConfigurationError(settings) {
+    const info = AIProvider.getInfo(settings);
+
+    if (info.requiresApiKey && !settings.apiKey) {
+      return 'API key not configured. Please add your API key in settings.';
+    }
+    if (info.usesBaseUrl && !(settings.baseUrl || info.defaultBaseUrl)) {
+      return 'Server URL not configured. Please add it in settings.';
+    }
+    if (!settings.model) {
+      return 'No model selected. Please choose a model in settings.';
+    }
+    return null;
+  }
+
+  get label() {
+    return 'AI';
+  }
+
+  get model() {
+    return this.settings.model;
+  }
+
+  get baseUrl() {
+    return this.configuredBaseUrl();
+  }
+
+  // Base URL for self-hosted providers, without a trailing slash
+  configuredBaseUrl() {
+    const url = this.settings.baseUrl || AIProvider.getInfo(this.settings).defaultBaseUrl || '';
+    return url.trim().replace(/\/+$/, '');
+  }
+
+  // Whether this provider can turn text into embedding vectors
+  get supportsEmbeddings() {
+    return false;
+  }
+
+  get embeddingModel() {
+    return this.settings.embeddingModel || AIProvider.getInfo(this.settings).defaultEmbeddingModel;
+  }
+
+  // Send a single-turn prompt and return the reply text
+  async complete(prompt, { maxTokens = 200 } = {}) {
+    const data = await this.send(this.buildRequest(prompt, maxTokens));
+    return this.extractText(data).trim();
+  }
+
+  // Ask for JSON matching a JSON Schema and return the parsed value.
+  // Providers with a structured output or tool-call mode override
+  // buildStructuredRequest/extractStructured; the default asks for JSON in
+  // the prompt and parses it out of the reply text.
+  async completeStructured(prompt, schema, { maxTokens = 500, name = 'result' } = {}) {
+    const data = await this.send(this.buildStructuredRequest(prompt, schema, maxTokens, name));
+    return this.extractStructured(data);
+  }
+
+  buildStructuredRequest(prompt, schema, maxTokens) {
+    const jsonPrompt = `${prompt}\n\nRespond ONLY with JSON matching this JSON Schema:\n${JSON.stringify(schema)}`;
+    return this.buildRequest(jsonPrompt, maxTokens);
+  }
+
+  extractStructured(data) {
+    return AIProvider.parseJSON(this.extractText(data));
+  }
+
+  // Parse a reply that should be JSON, tolerating surrounding prose or code fences
+  static parseJSON(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      const match = text.match(/[\[{][\s\S]*[\]}]/);
+      if (match) {
+        try {
+          return JSON.parse(match[0]);
+        } catch (innerError) {
+          // Fall through to the error below
+        }
+      }
+      throw new AIResponseFormatError('AI response is not valid JSON');
+    }
+  }
+
+  // Embed a batch of texts, returning one vector per text
+  async embed(texts) {
+    if (!this.supportsEmbeddings) {
+      throw new Error(`${this.label} does not provide embeddings`);
+    }
+
+    const data = await this.send(this.buildEmbeddingRequest(texts));
+    return this.extractEmbeddings(data);
+  }
+
+  // Shared request/response path for every provider call
+  async send(request) {
+    AIProvider.limiter.limit = this.settings.maxConcurrentRequests || DEFAULT_MAX_CONCURRENT_REQUESTS;
+
+    return AIProvider.limiter.run(async () => {
+      let response;
+      try {
+        response = await fetch(request.url, {
+          method: 'POST',
+          headers: request.headers,
+          body: JSON.stringify(request.body),
+          signal: this.signal
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        throw new AIRequestError(`Could not reach ${this.label}: ${error.message}`);
+      }
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        const retryAfter = parseFloat(response.headers.get('retry-after'));
+        throw new AIRequestError(`${this.label} API error: ${this.extractError(error) || response.statusText}`, {
+          status: response.status,
+          retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+        });
+      }
+
+      return response.json();
+    });
+  }
+
+  // Send a tiny prompt to check that the endpoint, key and model all work
+  async testConnection() {
+    const reply = await this.complete('Reply with the single word OK.', { maxTokens: 5 });
+    return { success: true, provider: this.label, model: this.model, reply };
+  }
+
+  extractError(data) {
+    return data.error?.message;
+  }
+
+  buildRequest() {
+    throw new Error('buildRequest not implemented');
+  }
+
+  extractText() {
+    throw new Error('extractText not implemented');
+  }
+}
+
+class AnthropicProvider extends AIProvider {
+  get label() {
+    return 'Anthropic';
+  }
+
+  buildRequest(prompt, maxTokens) {
+    return {
+      url: 'https://api.anthropic.com/v1/messages',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.settings.apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: {
+        model: this.model,
+        max_tokens: maxTokens,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      }
+    };
+  }
+
+  extractText(data) {
+    return data.content[0].text;
+  }
+
+  // Force a tool call whose input schema is the requested schema
+  buildStructuredRequest(prompt, schema, maxTokens, name) {
+    const request = this.buildRequest(prompt, maxTokens);
+    request.body.tools = [{
+      name,
+      description: 'Record the result in the required format',
+      input_schema: schema
+    }];
+    request.body.tool_choice = { type: 'tool', name };
+    return request;
+  }
+
+  extractStructured(data) {
+    const toolUse = data.content.find(block => block.type === 'tool_use');
+    if (!toolUse) {
+      throw new AIResponseFormatError('AI response did not include the structured result');
+    }
+    return toolUse.input;
+  }
+}
+
+class OpenAIProvider extends AIProvider {
+  get label() {
+    return 'OpenAI';
+  }
+
+  get baseUrl() {
+    return 'https://api.openai.com/v1';
+  }
+
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.settings.apiKey) {
+      headers['Authorization'] = `Bearer ${this.settings.apiKey}`;
+    }
+    return headers;
+  }
+
+  buildRequest(prompt, maxTokens) {
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      headers: this.buildHeaders(),
+      body: {
+        model: this.model,
+        max_tokens: maxTokens,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      }
+    };
+  }
+
+  extractText(data) {
+    return data.choices[0].message.content || '';
+  }
+
+  // OpenAI enforces strict schemas; other servers may not accept the flag
+  get strictSchemas() {
+    return true;
+  }
+
+  // Older models reject json_schema response formats (see
+  // structuredOutputs in AI_PROVIDERS); unlisted models are assumed to
+  // support them
+  get supportsStructuredOutputs() {
+    const info = AIProvider.getInfo(this.settings).models.find(model => model.id === this.model);
+    return !info || info.structuredOutputs !== false;
+  }
+
+  buildStructuredRequest(prompt, schema, maxTokens, name) {
+    if (!this.supportsStructuredOutputs) {
+      // Schema in the prompt, with JSON mode keeping the reply parseable
+      const request = super.buildStructuredRequest(prompt, schema, maxTokens);
+      request.body.response_format = { type: 'json_object' };
+      return request;
+    }
+
+    const request = this.buildRequest(prompt, maxTokens);
+    request.body.response_format = {
+      type: 'json_schema',
+      json_schema: { name, schema, strict: this.strictSchemas }
+    };
+    return request;
+  }
+
+  get supportsEmbeddings() {
+    return true;
+  }
+
+  buildEmbeddingRequest(texts) {
+    return {
+      url: `${this.baseUrl}/embeddings`,
+      headers: this.buildHeaders(),
+      body: {
+        model: this.embeddingModel,
+        input: texts
+      }
+    };
+  }
+
+  extractEmbeddings(data) {
+    return data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+// Any server speaking the OpenAI chat completions API (llama.cpp server,
+// LM Studio, vLLM, Ollama's /v1 endpoint...). The API key is optional.
+class OpenAICompatibleProvider extends OpenAIProvider {
+  get label() {
+    return 'Local server';
+  }
+
+  get baseUrl() {
+    return this.configuredBaseUrl();
+  }
+
+  get strictSchemas() {
+    return false;
+  }
+}
+
+// Ollama's native chat API
+class OllamaProvider extends AIProvider {
+  get label() {
+    return 'Ollama';
+  }
+
+  buildRequest(prompt, maxTokens) {
+    return {
+      url: `${this.baseUrl}/api/chat`,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        model: this.model,
+        stream: false,
+        options: { num_predict: maxTokens },
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      }
+    };
+  }
+
+  extractText(data) {
+    return data.message?.content || '';
+  }
+
+  // Ollama constrains output to a JSON Schema passed as "format"
+  buildStructuredRequest(prompt, schema, maxTokens) {
+    const request = this.buildRequest(prompt, maxTokens);
+    request.body.format = schema;
+    return request;
+  }
+
+  get supportsEmbeddings() {
+    return true;
+  }
+
+  buildEmbeddingRequest(texts) {
+    return {
+      url: `${this.baseUrl}/api/embed`,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        model: this.embeddingModel,
+        input: texts
+      }
+    };
+  }
+
+  extractEmbeddings(data) {
+    return data.embeddings;
+  }
+
+  extractError(data) {
+    return typeof data.error === 'string' ? data.error : data.error?.message;
+  }
+}
+
+// Shared by every provider instance in this context
+AIProvider.limiter = new RequestLimiter(DEFAULT_MAX_CONCURRENT_REQUESTS);
+
+// Providers offered in the options page, keyed by settings.aiProvider
+const AI_PROVIDERS = {
+  anthropic: {
+    label: 'Anthropic (Claude)',
+    adapter: AnthropicProvider,
+    requiresApiKey: true,
+    keyUrl: 'https://console.anthropic.com/',
+    defaultModel: 'claude-3-haiku-20240307',
+    models: [
+      { id: 'claude-3-haiku-20240307', name: 'Claude 3 Haiku (Fast & Cheap)' },
+      { id: 'claude-3-5-sonnet-20241022', name: 'Claude 3.5 Sonnet (Recommended)' },
+      { id: 'claude-3-5-sonnet-20240620', name: 'Claude 3.5 Sonnet (Previous)' }
+    ]
+  },
+  openai: {
+    label: 'OpenAI (GPT)',
+    adapter: OpenAIProvider,
+    requiresApiKey: true,
+    keyUrl: 'https://platform.openai.com/api-keys',
+    defaultModel: 'gpt-4o-mini',
+    defaultEmbeddingModel: 'text-embedding-3-small',
+    models: [
+      { id: 'gpt-4o-mini', name: 'GPT-4o mini (Fast & Cheap)' },
+      { id: 'gpt-4o', name: 'GPT-4o (Recommended)' },
+      { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', structuredOutputs: false },
+      { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', structuredOutputs: false }
+    ]
+  },
+  ollama: {
+    label: 'Ollama (local)',
+    adapter: OllamaProvider,
+    requiresApiKey: false,
+    usesBaseUrl: true,
+    defaultBaseUrl: 'http://localhost:11434',
+    defaultModel: 'llama3.1',
+    defaultEmbeddingModel: 'nomic-embed-text',
+    models: [] // Any locally pulled model name
+  },
+  local: {
+    label: 'OpenAI-compatible server (local)',
+    adapter: OpenAICompatibleProvider,
+    requiresApiKey: false,
+    usesBaseUrl: true,
+    defaultBaseUrl: 'http://localhost:8080/v1',
+    defaultModel: 'local-model',
+    // No common default; embeddings are off until the user names a model
+    requiresEmbeddingModel: true,
+    models: []
+  }
+};
+
+// Make available in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AIRequestError,
+    AIResponseFormatError,
+    RequestLimiter,
+    AIProvider,
+    AnthropicProvider,
+    OpenAIProvider,
+    OpenAICompatibleProvider,
+    OllamaProvider,
+    AI_PROVIDERS
+  };
+}
@@ -1,15 +1,79 @@
-// AI Service for generating context descriptions using Claude
+// AI Service for generating context descriptions
+// Requests go through the provider adapter chosen in settings (see ai-providers.js)
+
+// Sessions scored per ranking request; keeps prompts small and predictable
+const RANK_BATCH_SIZE = 10;
+
+// Sessions with more tabs than this are summarized and grouped in chunks
+// (map-reduce) instead of one prompt
+const CHUNK_TAB_LIMIT = 80;
+
+const DEFAULT_MAX_TAB_GROUPS = 5;
 
 class AIService {
-  constructor(settings) {
+  // options.signal (an AbortSignal) cancels any request this service makes
+  constructor(settings, options = {}) {
     this.settings = settings;
+    this.provider = AIProvider.create(settings, options);
+  }
+
+  // Whether these settings are enough to reach the configured provider
+  static isConfigured(settings) {
+    return AIProvider.getConfigurationError(settings) === null;
+  }
+
+  async testConnection() {
+    return this.provider.testConnection();
+  }
+
+  // Split tabs into chunks of at most CHUNK_TAB_LIMIT, keeping each window
+  // together where possible. Each chunk lists its tabs with their 1-based
+  // index in the full session.
+  static chunkTabs(tabs, chunkSize = CHUNK_TAB_LIMIT) {
+    const byWindow = new Map();
+    tabs.forEach((tab, i) => {
+      const windowIndex = tab.windowIndex || 0;
+      if (!byWindow.has(windowIndex)) {
+        byWindow.set(windowIndex, []);
+      }
+      byWindow.get(windowIndex).push({ tab, sessionIndex: i + 1 });
+    });
+
+    const chunks = [];
+    for (const windowTabs of byWindow.values()) {
+      for (let i = 0; i < windowTabs.length; i += chunkSize) {
+        chunks.push(windowTabs.slice(i, i + chunkSize));
+      }
+    }
+    return chunks;
   }
 
-  async generateContext(tabs) {
-    if (!this.settings.apiKey) {
-      throw new Error('API key not configured. Please add your API key in settings.');
+  // Summarize what the user was working on. Large sessions are summarized
+  // chunk by chunk and the partial summaries merged into one.
+  // onProgress(message) is called before each AI request.
+  async generateContext(tabs, { onProgress = () => {} } = {}) {
+    const configError = AIProvider.getConfigurationError(this.settings);
+    if (configError) {
+      throw new Error(configError);
+    }
+
+    if (tabs.length <= CHUNK_TAB_LIMIT) {
+      onProgress('Generating AI context...');
+      return this.summarizeTabs(tabs);
+    }
+
+    const chunks = AIService.chunkTabs(tabs);
+    const partialSummaries = [];
+    for (let i = 0; i < chunks.length; i++) {
+      onProgress(`Summarizing part ${i + 1} of ${chunks.length}...`);
+      partialSummaries.push(await this.summarizeTabs(chunks[i].map(item => item.tab)));
     }
 
+    onProgress('Merging summaries...');
+    return this.mergeSummaries(partialSummaries);
+  }
+
+  async summarizeTabs(tabs) {
     const tabList = tabs.map((tab, i) =>
       `${i + 1}. ${tab.title} (${tab.url})`
     ).join('\n');
@@ -29,35 +93,35 @@ Example format:
 • Browsing documentation for React hooks
 • Managing email and calendar events`;
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': this.settings.apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: this.settings.model,
-        max_tokens: 200,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      })
-    });
+    return this.provider.complete(prompt, { maxTokens: 200 });
+  }
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`Anthropic API error: ${error.error?.message || response.statusText}`);
-    }
+  async mergeSummaries(summaries) {
+    const summaryList = summaries.map((summary, i) =>
+      `Part ${i + 1}:\n${summary}`
+    ).join('\n\n');
+
+    const prompt = `These are summaries of different parts of one large browser session.
+
+${summaryList}
 
-    const data = await response.json();
-    return data.content[0].text.trim();
+Combine them into ONE summary of what the user was working on. Return ONLY 2-4 short bullet points (use • as bullets), each under 10 words, covering the most important topics across all parts.`;
+
+    return this.provider.complete(prompt, { maxTokens: 200 });
+  }
+
+  // Minimum relevance score (0-100) for a search result to be shown.
+  // searchSensitivity runs 1-10; higher sensitivity lets more results through.
+  static getRelevanceThreshold(searchSensitivity) {
+    const sensitivity = Math.min(10, Math.max(1, Number(searchSensitivity) || 7));
+    return (10 - sensitivity) * 10;
   }
 
-  // Use Claude to rank sessions by relevance to search query
-  async rankSessionsByRelevance(query, sessions) {
+  // Use the AI provider to score every session's relevance to a search query.
+  // Returns [{ session, score, reason }] best first, keeping only sessions
+  // scoring at least minScore. Throws if the model can't be reached or its
+  // reply can't be parsed, so callers can report the fallback honestly.
+  async rankSessionsByRelevance(query, sessions, { minScore = 0 } = {}) {
     if (sessions.length === 0) {
       return [];
     }
@@ -72,115 +136,212 @@ Example format:
 Here are their saved browser sessions:
 ${sessionList}
 
-Analyze which sessions are most relevant to their search query. Return ONLY a JSON array of the top 3 most relevant session numbers (1-${sessions.length}), ordered by relevance. Format: [number, number, number]
+Rate how relevant each session is to their search query on a scale of 0 (unrelated) to 100 (exactly what they want). Return ONLY a JSON array with one object per session, each with the session "number" (1-${sessions.length}), a "score" and a one-line "reason" under 15 words.
 
-Example response: [3, 1, 5]`;
+Example response: [{"number": 3, "score": 92, "reason": "Research on sorting algorithms and their complexity"}, {"number": 1, "score": 10, "reason": "Shopping, unrelated to algorithms"}]`;
 
-    try {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.settings.apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model: this.settings.model,
-          max_tokens: 100,
-          messages: [{
-            role: 'user',
-            content: prompt
-          }]
-        })
-      });
+    const responseText = await this.provider.complete(prompt, {
+      maxTokens: Math.min(4000, 100 + sessions.length * 40)
+    });
 
-      if (!response.ok) {
-        throw new Error('AI ranking failed');
-      }
+    // Parse the JSON array from response
+    const matches = responseText.match(/\[[\s\S]*\]/);
+    if (!matches) {
+      throw new Error('Failed to parse AI ranking response');
+    }
 
-      const data = await response.json();
-      const responseText = data.content[0].text.trim();
+    const ratings = JSON.parse(matches[0]);
+    if (!Array.isArray(ratings)) {
+      throw new Error('AI ranking response is not a list');
+    }
 
-      // Parse the JSON array from response
-      const matches = responseText.match(/\[[\d,\s]+\]/);
-      if (!matches) {
-        throw new Error('Failed to parse AI response');
+    // Convert 1-based numbers to sessions, ignoring invalid or repeated entries
+    const seen = new Set();
+    const ranked = [];
+    for (const rating of ratings) {
+      const number = Number(rating.number);
+      if (!Number.isInteger(number) || number < 1 || number > sessions.length || seen.has(number)) {
+        continue;
       }
+      seen.add(number);
 
-      const indices = JSON.parse(matches[0]);
+      const score = Math.min(100, Math.max(0, Math.round(Number(rating.score) || 0)));
+      ranked.push({
+        session: sessions[number - 1],
+        score,
+        reason: typeof rating.reason === 'string' ? rating.reason.trim() : ''
+      });
+    }
 
-      // Convert 1-based indices to actual sessions
-      const rankedSessions = indices
-        .filter(idx => idx >= 1 && idx <= sessions.length)
-        .map(idx => sessions[idx - 1]);
+    return ranked
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score);
+  }
 
-      return rankedSessions;
-    } catch (error) {
-      console.error('AI ranking failed:', error);
-      // Fallback to first 3 sessions
-      return sessions.slice(0, 3);
+  // Rank a large candidate list in fixed-size batches and merge the winners.
+  // Scores are on an absolute 0-100 scale, so batches can be merged by score.
+  // A failed batch is skipped; only if every batch fails does this throw.
+  async rankSessionsInBatches(query, sessions, { minScore = 0, batchSize = RANK_BATCH_SIZE } = {}) {
+    const winners = [];
+    let lastError = null;
+    let failedBatches = 0;
+
+    for (let i = 0; i < sessions.length; i += batchSize) {
+      const batch = sessions.slice(i, i + batchSize);
+      try {
+        winners.push(...await this.rankSessionsByRelevance(query, batch, { minScore }));
+      } catch (error) {
+        console.warn(`Ranking batch ${i / batchSize + 1} failed:`, error);
+        lastError = error;
+        failedBatches++;
+      }
     }
+
+    if (failedBatches > 0 && failedBatches === Math.ceil(sessions.length / batchSize)) {
+      throw lastError;
+    }
+
+    return winners.sort((a, b) => b.score - a.score);
   }
 
-  // Generate tab groups using Claude
-  async generateTabGroups(tabs) {
+  // Generate tab groups using the AI provider's structured output mode.
+  // Large sessions are grouped chunk by chunk, then the chunk groups are
+  // merged into at most maxTabGroups final groups.
+  async generateTabGroups(tabs, { onProgress = () => {} } = {}) {
     if (tabs.length === 0) {
       return [];
     }
 
+    const maxGroups = this.settings.maxTabGroups || DEFAULT_MAX_TAB_GROUPS;
+
+    if (tabs.length <= CHUNK_TAB_LIMIT) {
+      onProgress('Organizing tabs into groups...');
+      return this.groupTabs(tabs, maxGroups);
+    }
+
+    // Map: group each chunk, translating chunk-local numbers to session indices
+    const chunks = AIService.chunkTabs(tabs);
+    const partialGroups = [];
+    for (let i = 0; i < chunks.length; i++) {
+      onProgress(`Grouping part ${i + 1} of ${chunks.length}...`);
+      const chunk = chunks[i];
+      const groups = await this.groupTabs(chunk.map(item => item.tab), maxGroups);
+      partialGroups.push(...groups.map(group => ({
+        name: group.name,
+        tabIndices: group.tabIndices.map(idx => chunk[idx - 1].sessionIndex)
+      })));
+    }
+
+    // Reduce: groups with the same name are merged locally, and the AI only
+    // gets involved if there are still too many
+    const merged = AIService.mergeGroupsByName(partialGroups);
+    if (merged.length <= maxGroups) {
+      return merged;
+    }
+
+    onProgress('Merging tab groups...');
+    return this.mergeTabGroups(merged, maxGroups);
+  }
+
+  static mergeGroupsByName(groups) {
+    const byName = new Map();
+    for (const group of groups) {
+      const key = group.name.toLowerCase();
+      if (byName.has(key)) {
+        byName.get(key).tabIndices.push(...group.tabIndices);
+      } else {
+        byName.set(key, { name: group.name, tabIndices: [...group.tabIndices] });
+      }
+    }
+    const merged = [...byName.values()];
+    merged.forEach(group => group.tabIndices.sort((a, b) => a - b));
+    return merged;
+  }
+
+  // Ask the AI to combine partial groups into at most maxGroups groups.
+  // The partial groups are numbered like tabs, so the same schema and
+  // validation apply: every partial group ends up in exactly one final group.
+  async mergeTabGroups(partialGroups, maxGroups) {
+    const groupList = partialGroups.map((group, i) =>
+      `${i + 1}. ${group.name} (${group.tabIndices.length} tabs)`
+    ).join('\n');
+
+    const prompt = `These tab groups came from different parts of one large browser session:
+${groupList}
+
+Combine them into at most ${maxGroups} groups by topic/purpose. Return the final groups, each with a short "name" (1-4 words) and "tabIndices" listing the numbers of the groups above (1-${partialGroups.length}) that belong to it. Use every number exactly once.`;
+
+    const groups = await this.requestValidGroups(prompt, partialGroups.length, maxGroups, 500);
+
+    return groups.map(group => ({
+      name: group.name,
+      tabIndices: group.tabIndices
+        .flatMap(idx => partialGroups[idx - 1].tabIndices)
+        .sort((a, b) => a - b)
+    }));
+  }
+
+  async groupTabs(tabs, maxGroups) {
     const tabList = tabs.map((tab, i) =>
       `${i + 1}. ${tab.title} (${tab.url})`
     ).join('\n');
 
-    const prompt = `Analyze these browser tabs and organize them into logical groups by topic/purpose. Create 2-5 groups maximum.
+    const prompt = `Analyze these browser tabs and organize them into logical groups by topic/purpose. Create 2-${maxGroups} groups maximum.
 
 Tabs:
 ${tabList}
 
-Return ONLY a JSON array where each group has a "name" and "tabIndices" (1-based indices of tabs). Format:
-[{"name": "Group Name", "tabIndices": [1, 2, 3]}, ...]
+Return the groups, each with a short "name" (1-4 words) and "tabIndices" (the tab numbers above, 1-${tabs.length}). Put every tab in exactly one group.
 
-Example: [{"name": "Documentation", "tabIndices": [1, 3]}, {"name": "Shopping", "tabIndices": [2, 4]}]`;
+Example: {"groups": [{"name": "Documentation", "tabIndices": [1, 3]}, {"name": "Shopping", "tabIndices": [2, 4]}]}`;
 
-    try {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.settings.apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model: this.settings.model,
-          max_tokens: 300,
-          messages: [{
-            role: 'user',
-            content: prompt
-          }]
-        })
-      });
+    return this.requestValidGroups(prompt, tabs.length, maxGroups, Math.min(4000, 200 + tabs.length * 8));
+  }
 
-      if (!response.ok) {
-        throw new Error('Tab grouping failed');
-      }
+  // Request groups and validate them against TAB_GROUPS_SCHEMA; malformed
+  // output (including too many groups) gets one repair attempt with the
+  // validation errors before giving up
+  async requestValidGroups(prompt, itemCount, maxGroups, maxTokens) {
+    let result = await this.requestTabGroups(prompt, itemCount, maxGroups, maxTokens);
+
+    if (result.errors.length > 0) {
+      console.warn('Tab groups failed validation, retrying:', result.errors);
+
+      const repairPrompt = `${prompt}
+
+Your previous answer was invalid:
+${result.errors.map(error => `- ${error}`).join('\n')}
 
-      const data = await response.json();
-      const responseText = data.content[0].text.trim();
+Previous answer: ${JSON.stringify(result.raw)}
 
-      // Parse the JSON array from response
-      const matches = responseText.match(/\[[\s\S]*\]/);
-      if (!matches) {
-        throw new Error('Failed to parse AI response');
+Return a corrected answer.`;
+
+      result = await this.requestTabGroups(repairPrompt, itemCount, maxGroups, maxTokens);
+      if (result.errors.length > 0) {
+        throw new Error(`Tab grouping failed validation: ${result.errors.join('; ')}`);
       }
+    }
 
-      const groups = JSON.parse(matches[0]);
-      return groups;
+    return result.groups;
+  }
+
+  // One structured grouping request; parse failures count as validation errors
+  async requestTabGroups(prompt, tabCount, maxGroups, maxTokens) {
+    let raw;
+    try {
+      raw = await this.provider.completeStructured(prompt, TAB_GROUPS_SCHEMA, {
+        maxTokens,
+        name: 'save_tab_groups'
+      });
     } catch (error) {
-      console.error('Tab grouping failed:', error);
-      return [];
+      if (error instanceof AIResponseFormatError) {
+        return { raw: null, groups: [], errors: [error.message] };
+      }
+      throw error;
     }
+
+    const { groups, errors } = TabGroupSchema.validate(raw, tabCount, { maxGroups });
+    return { raw, groups, errors };
   }
 }
 
@@ -0,0 +1,306 @@
+// Versioned schema for stored sessions and settings
+//
+// Every session and the settings object carry a schemaVersion. Records from
+// older versions of the extension (or from an import) are upgraded step by
+// step by the migrations below: MIGRATIONS[n] turns version n into n + 1.
+
+const SESSION_SCHEMA_VERSION = 1;
+const SETTINGS_SCHEMA_VERSION = 4;
+
+// Where restored tabs go; merge also skips tabs that are already open
+const RESTORE_MODES = {
+  newWindow: 'New window',
+  currentWindow: 'Current window',
+  merge: 'Merge into current window (skip open tabs)'
+};
+
+// What happens to a session once all of it has been restored
+const AFTER_RESTORE_ACTIONS = {
+  keep: 'Keep it',
+  archive: 'Move it to the archive',
+  delete: 'Delete it'
+};
+
+const DEFAULT_SETTINGS = {
+  schemaVersion: SETTINGS_SCHEMA_VERSION,
+  aiProvider: 'anthropic',
+  apiKey: '',
+  model: 'claude-3-haiku-20240307',
+  maxConcurrentRequests: 2,
+  autoContext: true,
+  autoTabGroups: false,
+  maxTabGroups: 5,
+  multiWindow: true,
+  aiRanking: true,
+  searchSensitivity: 7,
+  maxRankedSessions: 30,
+  lazyRestore: false,
+  lazyRestoreThreshold: 20,
+  restoreMode: 'newWindow',
+  afterRestore: 'keep',
+  closePinnedTabs: false
+};
+
+class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+const SESSION_MIGRATIONS = {
+  // Sessions saved before versioning: tabs may lack windowIndex, single
+  // window sessions have no windows list, tabGroups may be missing, and
+  // old exports can have numeric ids. DataSchema.normalizeSession fills all
+  // of that in, and runs on every record before the migrations.
+  0: (session) => session
+};
+
+const SETTINGS_MIGRATIONS = {
+  // Unversioned settings only stored what the user had changed
+  0: (settings) => ({ ...DEFAULT_SETTINGS, ...settings }),
+  // Lazy restore added, off until the user turns it on
+  1: (settings) => ({
+    lazyRestore: false,
+    lazyRestoreThreshold: DEFAULT_SETTINGS.lazyRestoreThreshold,
+    ...settings
+  }),
+  // Restore modes added
+  2: (settings) => ({ restoreMode: DEFAULT_SETTINGS.restoreMode, ...settings }),
+  // Save & close and the after-restore action added
+  3: (settings) => ({
+    afterRestore: DEFAULT_SETTINGS.afterRestore,
+    closePinnedTabs: DEFAULT_SETTINGS.closePinnedTabs,
+    ...settings
+  })
+};
+
+class DataSchema {
+  // Reasons a record can't be treated as a session at all, or [] if it can
+  static validateSession(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['Not an object'];
+    }
+
+    const errors = [];
+    if (data.id === undefined || data.id === null || data.id === '') {
+      errors.push('Missing id');
+    }
+    if (!Array.isArray(data.tabs)) {
+      errors.push('Missing tabs list');
+    } else if (!data.tabs.some(tab => tab && typeof tab.url === 'string' && tab.url)) {
+      errors.push('No tab has a URL');
+    }
+    if (data.schemaVersion !== undefined && !Number.isInteger(data.schemaVersion)) {
+      errors.push(`Invalid schemaVersion ${JSON.stringify(data.schemaVersion)}`);
+    } else if (data.schemaVersion > SESSION_SCHEMA_VERSION) {
+      errors.push(`Saved by a newer version of the extension (schema ${data.schemaVersion})`);
+    }
+
+    return errors;
+  }
+
+  // Bring a session up to the current schema.
+  // Returns { session, upgraded, repairs } or throws SchemaError; repairs
+  // lists what normalizeSession had to fix.
+  static migrateSession(data) {
+    const errors = this.validateSession(data);
+    if (errors.length > 0) {
+      throw new SchemaError(errors.join('; '));
+    }
+
+    const fromVersion = data.schemaVersion || 0;
+    const { session: normalized, repairs } = this.normalizeSession(data);
+    const session = this.runMigrations(normalized, fromVersion, SESSION_SCHEMA_VERSION, SESSION_MIGRATIONS);
+    return { session, upgraded: fromVersion < SESSION_SCHEMA_VERSION, repairs };
+  }
+
+  // Make a record that passed validateSession safe to store and render,
+  // whatever its schemaVersion claims: drop tabs without a URL, keep groups
+  // pointing at the same tabs, and recompute counts and windows.
+  // Returns { session, repairs } where repairs describes malformed content
+  // (fields older versions simply didn't have are not repairs).
+  static normalizeSession(data) {
+    const repairs = [];
+
+    // Group tabIndices are 1-based positions in tabs, so dropping tabs
+    // without a URL shifts every later tab; map old positions to new ones
+    const kept = [];
+    data.tabs.forEach((tab, oldPosition) => {
+      if (tab && typeof tab.url === 'string' && tab.url) {
+        kept.push(oldPosition);
+      }
+    });
+    const newIndex = new Map(kept.map((oldPosition, i) => [oldPosition + 1, i + 1]));
+    const removed = data.tabs.length - kept.length;
+    if (removed > 0) {
+      repairs.push(`Removed ${removed} tab${removed === 1 ? '' : 's'} without a URL`);
+    }
+
+    const tabs = kept
+      .map(oldPosition => data.tabs[oldPosition])
+      .map(tab => ({
+        ...tab,
+        title: typeof tab.title === 'string' ? tab.title : tab.url,
+        windowIndex: Number.isInteger(tab.windowIndex) && tab.windowIndex >= 0 ? tab.windowIndex : 0,
+        active: tab.active === true
+      }));
+
+    let windows = Array.isArray(data.windows) ? data.windows : [];
+    const windowTotal = Math.max(0, ...tabs.map(tab => tab.windowIndex + 1));
+    if (windows.length < windowTotal) {
+      windows = Array.from({ length: windowTotal }, (_, windowIndex) => ({
+        ...windows[windowIndex],
+        tabCount: tabs.filter(tab => tab.windowIndex === windowIndex).length
+      }));
+    }
+
+    const remapped = this.remapTabGroups(data.tabGroups, newIndex);
+    const tabGroups = this.cleanTabGroups(remapped, tabs.length);
+    const hasGroups = data.tabGroups !== undefined && data.tabGroups !== null;
+    if (hasGroups && (!Array.isArray(remapped) || JSON.stringify(remapped) !== JSON.stringify(tabGroups))) {
+      repairs.push('Removed invalid tab groups or group tab numbers');
+    }
+
+    if (data.tabCount !== undefined && data.tabCount !== data.tabs.length) {
+      repairs.push(`Corrected tabCount ${JSON.stringify(data.tabCount)} to ${tabs.length}`);
+    }
+
+    const hasTimestamp = Number.isFinite(data.timestamp);
+    if (!hasTimestamp && data.schemaVersion >= 1) {
+      repairs.push('Missing timestamp');
+    }
+    const timestamp = hasTimestamp ? data.timestamp : parseInt(data.id, 10) || Date.now();
+
+    const session = {
+      ...data,
+      id: String(data.id),
+      name: typeof data.name === 'string' && data.name.trim()
+        ? data.name
+        : `Session ${new Date(timestamp).toLocaleString()}`,
+      tabs,
+      windows,
+      timestamp,
+      tabCount: tabs.length,
+      windowCount: Math.max(1, windows.length),
+      tabGroups
+    };
+    return { session, repairs };
+  }
+
+  // Returns { settings, upgraded }
+  static migrateSettings(data) {
+    if (!data || typeof data !== 'object') {
+      return { settings: { ...DEFAULT_SETTINGS }, upgraded: false };
+    }
+
+    const fromVersion = data.schemaVersion || 0;
+    if (fromVersion > SETTINGS_SCHEMA_VERSION) {
+      // Written by a newer version; leave it alone rather than lose fields
+      return { settings: data, upgraded: false };
+    }
+
+    const settings = this.runMigrations(data, fromVersion, SETTINGS_SCHEMA_VERSION, SETTINGS_MIGRATIONS);
+    return { settings, upgraded: fromVersion < SETTINGS_SCHEMA_VERSION };
+  }
+
+  static runMigrations(record, fromVersion, toVersion, migrations) {
+    let current = record;
+    for (let version = fromVersion; version < toVersion; version++) {
+      current = { ...migrations[version](current), schemaVersion: version + 1 };
+    }
+    return current;
+  }
+
+  // Move group tabIndices to new tab positions (old 1-based -> new 1-based),
+  // dropping indices of tabs that were removed
+  static remapTabGroups(tabGroups, newIndex) {
+    if (!Array.isArray(tabGroups)) {
+      return tabGroups;
+    }
+
+    return tabGroups.map(group => {
+      if (!group || !Array.isArray(group.tabIndices)) {
+        return group;
+      }
+      return {
+        ...group,
+        tabIndices: group.tabIndices
+          .filter(idx => newIndex.has(idx))
+          .map(idx => newIndex.get(idx))
+      };
+    });
+  }
+
+  // Drop groups that don't fit the session's tabs instead of rejecting it
+  static cleanTabGroups(tabGroups, tabCount) {
+    if (!Array.isArray(tabGroups)) {
+      return [];
+    }
+
+    return tabGroups
+      .filter(group => group && typeof group.name === 'string' && group.name.trim())
+      .map(group => ({
+        ...group,
+        tabIndices: (Array.isArray(group.tabIndices) ? group.tabIndices : [])
+          .filter(idx => Number.isInteger(idx) && idx >= 1 && idx <= tabCount)
+      }))
+      .filter(group => group.tabIndices.length > 0);
+  }
+
+  // Validate and upgrade imported records against the sessions already
+  // stored. Returns the sessions to add and a report of what happened:
+  // { sessions, report: { merged, upgraded, repaired, duplicates, rejected } }
+  // where each list holds { index, name } entries (repaired and rejected
+  // ones also a reason).
+  static prepareImport(records, existingSessions) {
+    const report = { merged: [], upgraded: [], repaired: [], duplicates: [], rejected: [] };
+    const sessions = [];
+    const knownIds = new Set(existingSessions.map(s => s.id));
+
+    records.forEach((record, index) => {
+      const name = record && typeof record.name === 'string' ? record.name : `Record ${index + 1}`;
+
+      let result;
+      try {
+        result = this.migrateSession(record);
+      } catch (error) {
+        report.rejected.push({ index, name, reason: error.message });
+        return;
+      }
+
+      const { session, upgraded, repairs } = result;
+      if (knownIds.has(session.id)) {
+        report.duplicates.push({ index, name });
+        return;
+      }
+
+      knownIds.add(session.id);
+      if (upgraded) {
+        report.upgraded.push({ index, name });
+      }
+      if (repairs.length > 0) {
+        report.repaired.push({ index, name, reason: repairs.join('; ') });
+      }
+      report.merged.push({ index, name });
+
+      // No job exists for it here, so it must not look like it is generating
+      sessions.push({ ...session, generatingContext: false, generationStatus: null });
+    });
+
+    return { sessions, report };
+  }
+}
+
+// Make available in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DataSchema,
+    SchemaError,
+    DEFAULT_SETTINGS,
+    RESTORE_MODES,
+    AFTER_RESTORE_ACTIONS,
+    SESSION_SCHEMA_VERSION,
+    SETTINGS_SCHEMA_VERSION
+  };
+}
@@ -0,0 +1,251 @@
+// Search query language for the popup search box
+//
+//   domain:github.com group:"Docs" after:2025-06-01 tabs>20 windows:2 "exact phrase"
+//
+// Filters narrow the set of sessions; everything else is free text that goes
+// to the full-text, semantic and AI ranking stages.
+
+class QueryParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryParseError';
+  }
+}
+
+// Filters that take a text value
+const TEXT_FILTERS = ['domain', 'group'];
+// Filters that take a date (YYYY, YYYY-MM or YYYY-MM-DD)
+const DATE_FILTERS = ['after', 'before'];
+// Filters that take a number and support comparisons (tabs>20, windows<=2)
+const NUMERIC_FILTERS = ['tabs', 'windows'];
+
+class QueryParser {
+  // Returns { text, phrases, filters } or throws QueryParseError
+  static parse(query) {
+    const result = {
+      text: '',
+      phrases: [],
+      filters: {
+        domain: [],
+        group: [],
+        after: null,
+        before: null,
+        tabs: [],
+        windows: []
+      }
+    };
+    const words = [];
+
+    for (const token of this.tokenize(query)) {
+      if (token.type === 'phrase') {
+        result.phrases.push(token.value);
+        continue;
+      }
+
+      const match = token.value.match(/^([a-z]+)(:|>=|<=|>|<|=)(.*)$/i);
+      const field = match && match[1].toLowerCase();
+
+      // Anything that doesn't look like a known filter is plain text, and a
+      // quote right after it (foo"bar") is a phrase of its own
+      if (!match || ![...TEXT_FILTERS, ...DATE_FILTERS, ...NUMERIC_FILTERS].includes(field)) {
+        words.push(token.value);
+        if (token.quotedValue !== undefined && token.quotedValue.trim()) {
+          result.phrases.push(token.quotedValue.trim());
+        }
+        continue;
+      }
+
+      const operator = match[2] === ':' ? '=' : match[2];
+      const value = token.quotedValue !== undefined ? token.quotedValue : match[3];
+
+      if (!value) {
+        throw new QueryParseError(`Missing value for "${field}${match[2]}"`);
+      }
+
+      if (NUMERIC_FILTERS.includes(field)) {
+        if (!/^\d+$/.test(value)) {
+          throw new QueryParseError(`"${field}" needs a whole number, got "${value}"`);
+        }
+        result.filters[field].push({ operator, value: parseInt(value, 10) });
+      } else if (operator !== '=') {
+        throw new QueryParseError(`"${field}" doesn't support "${operator}", use ${field}:value`);
+      } else if (DATE_FILTERS.includes(field)) {
+        result.filters[field] = this.parseDate(field, value);
+      } else {
+        result.filters[field].push(value.toLowerCase());
+      }
+    }
+
+    result.text = [...words, ...result.phrases].join(' ').trim();
+    return result;
+  }
+
+  // Split a query into words and "quoted phrases". A quote directly after a
+  // filter (group:"Docs") becomes that filter's value.
+  static tokenize(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+      if (/\s/.test(query[i])) {
+        i++;
+        continue;
+      }
+
+      let start = i;
+      while (i < query.length && !/\s/.test(query[i]) && query[i] !== '"') {
+        i++;
+      }
+      const word = query.slice(start, i);
+
+      if (query[i] === '"') {
+        const end = query.indexOf('"', i + 1);
+        if (end === -1) {
+          throw new QueryParseError('Unterminated quote in search query');
+        }
+        const quoted = query.slice(i + 1, end);
+        i = end + 1;
+
+        if (word) {
+          tokens.push({ type: 'word', value: word, quotedValue: quoted });
+        } else if (quoted.trim()) {
+          tokens.push({ type: 'phrase', value: quoted.trim() });
+        }
+        continue;
+      }
+
+      tokens.push({ type: 'word', value: word });
+    }
+
+    return tokens;
+  }
+
+  // Dates are local-time day starts; partial dates round to the month or year
+  static parseDate(field, value) {
+    const match = value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+    if (!match) {
+      throw new QueryParseError(`"${field}" needs a date like 2025-06-01, got "${value}"`);
+    }
+
+    const year = parseInt(match[1], 10);
+    const month = match[2] ? parseInt(match[2], 10) - 1 : 0;
+    const day = match[3] ? parseInt(match[3], 10) : 1;
+    const date = new Date(year, month, day);
+
+    if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+      throw new QueryParseError(`Invalid date "${value}"`);
+    }
+
+    return { value, granularity: match[3] ? 'day' : match[2] ? 'month' : 'year', start: date.getTime() };
+  }
+
+  static hasFilters(parsed) {
+    const { filters } = parsed;
+    return parsed.phrases.length > 0 ||
+      filters.domain.length > 0 ||
+      filters.group.length > 0 ||
+      filters.tabs.length > 0 ||
+      filters.windows.length > 0 ||
+      filters.after !== null ||
+      filters.before !== null;
+  }
+
+  // Whether a session passes every filter and contains every phrase
+  static matches(session, parsed) {
+    const { filters } = parsed;
+    const tabs = session.tabs || [];
+
+    if (filters.after && session.timestamp < this.getPeriodEnd(filters.after)) {
+      return false;
+    }
+    if (filters.before && session.timestamp >= filters.before.start) {
+      return false;
+    }
+
+    if (!filters.tabs.every(c => this.compare(session.tabCount || tabs.length, c))) {
+      return false;
+    }
+    if (!filters.windows.every(c => this.compare(session.windowCount || 1, c))) {
+      return false;
+    }
+
+    if (filters.domain.length > 0) {
+      const hostnames = [...new Set(tabs.map(tab => this.getHostname(tab.url)))];
+      const hasDomain = domain => hostnames.some(host => this.hostMatchesDomain(host, domain));
+      if (!filters.domain.every(hasDomain)) {
+        return false;
+      }
+    }
+
+    if (filters.group.length > 0) {
+      const groupNames = (session.tabGroups || []).map(g => g.name.toLowerCase());
+      if (!filters.group.every(group => groupNames.some(name => name.includes(group)))) {
+        return false;
+      }
+    }
+
+    if (parsed.phrases.length > 0) {
+      const text = this.getSessionText(session);
+      if (!parsed.phrases.every(phrase => text.includes(phrase.toLowerCase()))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // Whether a single tab is on one of the filtered domains
+  static tabMatchesDomain(tab, parsed) {
+    const host = this.getHostname(tab.url);
+    return parsed.filters.domain.some(domain => this.hostMatchesDomain(host, domain));
+  }
+
+  // Exact domain or any subdomain of it
+  static hostMatchesDomain(host, domain) {
+    const bare = domain.replace(/^www\./, '');
+    return host === bare || host.endsWith(`.${bare}`);
+  }
+
+  // "after:2025-06" means after the whole of June, not after June 1st
+  static getPeriodEnd(date) {
+    const start = new Date(date.start);
+    if (date.granularity === 'year') {
+      return new Date(start.getFullYear() + 1, 0, 1).getTime();
+    }
+    if (date.granularity === 'month') {
+      return new Date(start.getFullYear(), start.getMonth() + 1, 1).getTime();
+    }
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1).getTime();
+  }
+
+  static compare(actual, { operator, value }) {
+    switch (operator) {
+      case '>': return actual > value;
+      case '<': return actual < value;
+      case '>=': return actual >= value;
+      case '<=': return actual <= value;
+      default: return actual === value;
+    }
+  }
+
+  static getHostname(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  // Lowercased searchable text used for phrase matching
+  static getSessionText(session) {
+    const parts = [session.name, session.context || ''];
+    (session.tabGroups || []).forEach(group => parts.push(group.name));
+    (session.tabs || []).forEach(tab => parts.push(tab.title || '', tab.url || ''));
+    return parts.join('\n').toLowerCase();
+  }
+}
+
+// Make available in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QueryParser, QueryParseError };
+}
@@ -0,0 +1,321 @@
+// Local full-text index over saved sessions, scored with BM25
+// Works without any AI provider. Each session's terms are stored under their
+// own key ("searchDoc:<id>"), written by StorageService in the background
+// page whenever the session is added, changed or deleted. The background
+// assembles them into the in-memory index that searches run against.
+
+const SEARCH_DOC_KEY_PREFIX = 'searchDoc:';
+// Whole index in one key, used before the per-session documents
+const LEGACY_SEARCH_INDEX_KEY = 'searchIndex';
+const SEARCH_INDEX_VERSION = 2;
+
+// BM25 tuning: k1 controls term frequency saturation, b length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// How much a term counts depending on where it appears
+const FIELD_WEIGHTS = {
+  name: 3,
+  group: 2,
+  context: 2,
+  title: 2,
+  hostname: 1,
+  path: 1
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'with', 'www', 'com', 'http', 'https',
+  'html', 'htm', 'php', 'index'
+]);
+
+class SearchIndex {
+  // Lowercase, strip accents, split on anything that isn't a letter or digit
+  static tokenize(text) {
+    if (!text) {
+      return [];
+    }
+
+    return text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+      .map(token => this.stem(token));
+  }
+
+  // Minimal plural folding so "tutorials" matches "tutorial"
+  static stem(token) {
+    if (token.length > 4 && token.endsWith('ies')) {
+      return token.slice(0, -3) + 'y';
+    }
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') && !/\d/.test(token)) {
+      return token.slice(0, -1);
+    }
+    return token;
+  }
+
+  // Split a tab URL into its hostname and path text, ignoring unparseable URLs
+  static splitUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return { hostname: parsed.hostname, path: decodeURIComponent(parsed.pathname) };
+    } catch (error) {
+      return { hostname: '', path: '' };
+    }
+  }
+
+  // Weighted term frequencies for every searchable field of a session
+  static getSessionTerms(session) {
+    const terms = {};
+    let length = 0;
+
+    const addField = (text, weight) => {
+      for (const token of this.tokenize(text)) {
+        terms[token] = (terms[token] || 0) + weight;
+        length += weight;
+      }
+    };
+
+    addField(session.name, FIELD_WEIGHTS.name);
+    addField(session.context, FIELD_WEIGHTS.context);
+    (session.tabGroups || []).forEach(group => addField(group.name, FIELD_WEIGHTS.group));
+
+    (session.tabs || []).forEach(tab => {
+      const { hostname, path } = this.splitUrl(tab.url);
+      addField(tab.title, FIELD_WEIGHTS.title);
+      addField(hostname, FIELD_WEIGHTS.hostname);
+      addField(path, FIELD_WEIGHTS.path);
+    });
+
+    return { terms, length };
+  }
+
+  static getDocKey(sessionId) {
+    return `${SEARCH_DOC_KEY_PREFIX}${sessionId}`;
+  }
+
+  // Stored search document for one session: { version, terms, length }
+  static createDoc(session) {
+    return { version: SEARCH_INDEX_VERSION, ...this.getSessionTerms(session) };
+  }
+
+  static createEmpty() {
+    return {
+      docLengths: {}, // sessionId -> weighted token count
+      docTerms: {},   // sessionId -> terms, so a document can be removed
+      postings: {}    // term -> { sessionId: weighted term frequency }
+    };
+  }
+
+  // In-memory index for the given sessions, loaded from their stored
+  // documents. Documents that are missing or from an older version are
+  // created. Built once per background start and kept up to date by
+  // addSession / removeSessions after that.
+  static async ensureBuilt(sessions) {
+    if (this.cache) {
+      return this.cache;
+    }
+
+    const result = await chrome.storage.local.get(sessions.map(session => this.getDocKey(session.id)));
+    const index = this.createEmpty();
+    const missing = {};
+
+    for (const session of sessions) {
+      const key = this.getDocKey(session.id);
+      let doc = result[key];
+      if (!doc || doc.version !== SEARCH_INDEX_VERSION) {
+        doc = this.createDoc(session);
+        missing[key] = doc;
+      }
+      this.addToIndex(index, session.id, doc);
+    }
+
+    if (Object.keys(missing).length > 0) {
+      await chrome.storage.local.set(missing);
+    }
+    await chrome.storage.local.remove(LEGACY_SEARCH_INDEX_KEY);
+
+    this.cache = index;
+    return index;
+  }
+
+  // Rewrite every given session's document, e.g. after the tokenizer changed
+  static async rebuild(sessions) {
+    const index = this.createEmpty();
+    const items = {};
+
+    for (const session of sessions) {
+      const doc = this.createDoc(session);
+      items[this.getDocKey(session.id)] = doc;
+      this.addToIndex(index, session.id, doc);
+    }
+
+    if (sessions.length > 0) {
+      await chrome.storage.local.set(items);
+    }
+    this.cache = index;
+    return index;
+  }
+
+  // Add or replace a session's entry
+  static async addSession(session) {
+    const doc = this.createDoc(session);
+    await chrome.storage.local.set({ [this.getDocKey(session.id)]: doc });
+    if (this.cache) {
+      this.addToIndex(this.cache, session.id, doc);
+    }
+  }
+
+  static async removeSessions(sessionIds) {
+    if (sessionIds.length === 0) {
+      return;
+    }
+    await chrome.storage.local.remove(sessionIds.map(id => this.getDocKey(id)));
+    if (this.cache) {
+      sessionIds.forEach(id => this.removeFromIndex(this.cache, id));
+    }
+  }
+
+  static addToIndex(index, sessionId, doc) {
+    this.removeFromIndex(index, sessionId);
+
+    index.docLengths[sessionId] = doc.length;
+    index.docTerms[sessionId] = Object.keys(doc.terms);
+
+    for (const [term, frequency] of Object.entries(doc.terms)) {
+      if (!index.postings[term]) {
+        index.postings[term] = {};
+      }
+      index.postings[term][sessionId] = frequency;
+    }
+  }
+
+  static removeFromIndex(index, sessionId) {
+    const terms = index.docTerms[sessionId];
+    if (!terms) {
+      return;
+    }
+
+    for (const term of terms) {
+      const posting = index.postings[term];
+      if (!posting) continue;
+
+      delete posting[sessionId];
+      if (Object.keys(posting).length === 0) {
+        delete index.postings[term];
+      }
+    }
+
+    delete index.docTerms[sessionId];
+    delete index.docLengths[sessionId];
+  }
+
+  // Character ranges in text whose words match one of the (tokenized) terms,
+  // or that contain one of the phrases. Returns [[start, end], ...] sorted.
+  static findMatchRanges(text, terms, phrases = []) {
+    if (!text) {
+      return [];
+    }
+
+    const ranges = [];
+    for (const word of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+      const [token] = this.tokenize(word[0]);
+      if (token && terms.has(token)) {
+        ranges.push([word.index, word.index + word[0].length]);
+      }
+    }
+
+    const lowerText = text.toLowerCase();
+    for (const phrase of phrases) {
+      const lowerPhrase = phrase.toLowerCase();
+      let position = lowerText.indexOf(lowerPhrase);
+      while (position !== -1) {
+        ranges.push([position, position + lowerPhrase.length]);
+        position = lowerText.indexOf(lowerPhrase, position + lowerPhrase.length);
+      }
+    }
+
+    return this.mergeRanges(ranges);
+  }
+
+  static mergeRanges(ranges) {
+    const sorted = ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+    }
+    return merged;
+  }
+
+  // Tabs of a session whose title or URL match the query, with highlight
+  // ranges for both. Returns [{ tabIndex, titleRanges, urlRanges }].
+  static findMatchingTabs(session, query, phrases = []) {
+    const terms = new Set(this.tokenize(query));
+    if (terms.size === 0 && phrases.length === 0) {
+      return [];
+    }
+
+    return (session.tabs || [])
+      .map((tab, tabIndex) => ({
+        tabIndex,
+        titleRanges: this.findMatchRanges(tab.title, terms, phrases),
+        urlRanges: this.findMatchRanges(tab.url, terms, phrases)
+      }))
+      .filter(hit => hit.titleRanges.length > 0 || hit.urlRanges.length > 0);
+  }
+
+  // Score sessions against a free-text query.
+  // Returns [{ sessionId, score }] sorted best first.
+  static async search(query, index = null) {
+    index = index || this.cache;
+    if (!index) {
+      return [];
+    }
+
+    const queryTerms = [...new Set(this.tokenize(query))];
+    const docIds = Object.keys(index.docLengths);
+    const docCount = docIds.length;
+
+    if (queryTerms.length === 0 || docCount === 0) {
+      return [];
+    }
+
+    const totalLength = docIds.reduce((sum, id) => sum + index.docLengths[id], 0);
+    const averageLength = totalLength / docCount || 1;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const posting = index.postings[term];
+      if (!posting) continue;
+
+      const docFrequency = Object.keys(posting).length;
+      const idf = Math.log(1 + (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+
+      for (const [sessionId, frequency] of Object.entries(posting)) {
+        const lengthRatio = index.docLengths[sessionId] / averageLength;
+        const termScore = idf * (frequency * (BM25_K1 + 1)) /
+          (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+        scores.set(sessionId, (scores.get(sessionId) || 0) + termScore);
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([sessionId, score]) => ({ sessionId, score }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+// In-memory index in the background page, null until ensureBuilt runs
+SearchIndex.cache = null;
+
+// Make available in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchIndex;
+}
@@ -0,0 +1,123 @@
+// Embedding-based semantic search over saved sessions
+// Vectors live in the IndexedDB store managed by StorageService
+
+const EMBEDDING_BATCH_SIZE = 16;
+const EMBEDDING_TEXT_LIMIT = 6000; // characters, keeps requests under model input limits
+const MIN_SEMANTIC_SIMILARITY = 0.25;
+
+class SemanticIndex {
+  // Embeddings need a configured provider that offers an embeddings endpoint
+  // and a model to call it with. Local servers have no default model, so
+  // they only count once the user has set one.
+  static isAvailable(settings) {
+    if (!AIService.isConfigured(settings)) {
+      return false;
+    }
+    const provider = AIProvider.create(settings);
+    return provider.supportsEmbeddings && Boolean(provider.embeddingModel);
+  }
+
+  // Identifies the vector space, so vectors from another model are never compared
+  static getModelKey(settings) {
+    const provider = AIProvider.create(settings);
+    return `${settings.aiProvider}:${provider.embeddingModel}`;
+  }
+
+  // Text that represents a session: name, AI context, group names and tab titles
+  static getSessionText(session) {
+    const parts = [session.name];
+
+    if (session.context) {
+      parts.push(session.context);
+    }
+    if (session.tabGroups && session.tabGroups.length > 0) {
+      parts.push(`Groups: ${session.tabGroups.map(g => g.name).join(', ')}`);
+    }
+    parts.push(...session.tabs.map(tab => tab.title).filter(Boolean));
+
+    return parts.join('\n').slice(0, EMBEDDING_TEXT_LIMIT);
+  }
+
+  static async indexSession(session, settings) {
+    const provider = AIProvider.create(settings);
+    const [embedding] = await provider.embed([this.getSessionText(session)]);
+    await StorageService.saveEmbedding(session.id, embedding, this.getModelKey(settings));
+  }
+
+  // Re-embed every session, replacing whatever the store held before.
+  // All vectors are fetched before any is written, and vectors of sessions
+  // that no longer exist are only removed once the new ones are saved, so a
+  // failed rebuild leaves the previous index usable.
+  static async rebuild(sessions, settings) {
+    const provider = AIProvider.create(settings);
+    const modelKey = this.getModelKey(settings);
+
+    const embeddings = [];
+    for (let i = 0; i < sessions.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = sessions.slice(i, i + EMBEDDING_BATCH_SIZE);
+      embeddings.push(...await provider.embed(batch.map(s => this.getSessionText(s))));
+    }
+
+    for (let i = 0; i < sessions.length; i++) {
+      await StorageService.saveEmbedding(sessions[i].id, embeddings[i], modelKey);
+    }
+
+    const keep = new Set(sessions.map(s => s.id));
+    const stale = (await StorageService.getAllEmbeddings()).filter(record => !keep.has(record.sessionId));
+    for (const record of stale) {
+      await StorageService.deleteEmbedding(record.sessionId);
+    }
+
+    return { indexed: sessions.length };
+  }
+
+  // Rank sessions by cosine similarity between their vectors and the query's.
+  // Sessions without a vector for the current model are left out.
+  static async search(query, sessions, settings) {
+    const modelKey = this.getModelKey(settings);
+    const records = await StorageService.getAllEmbeddings();
+    const vectors = new Map(records
+      .filter(record => record.model === modelKey)
+      .map(record => [record.sessionId, record.embedding]));
+
+    if (vectors.size === 0) {
+      return [];
+    }
+
+    const [queryVector] = await AIProvider.create(settings).embed([query]);
+
+    return sessions
+      .filter(session => vectors.has(session.id))
+      .map(session => ({
+        session,
+        score: this.cosineSimilarity(queryVector, vectors.get(session.id))
+      }))
+      .filter(result => result.score >= MIN_SEMANTIC_SIMILARITY)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  static cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) {
+      return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) {
+      return 0;
+    }
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+}
+
+// Make available in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SemanticIndex;
+}
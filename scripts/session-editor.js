@@ -0,0 +1,149 @@
+// Edits to a saved session's tabs and groups
+//
+// Each method takes the session and returns only the fields that changed,
+// ready for StorageService.updateSession. Tab positions are 0-based indexes
+// into session.tabs; group tabIndices stay 1-based and are remapped whenever
+// tabs move or disappear, so they always point at the same tabs.
+
+class SessionEditor {
+  static rename(session, name) {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      throw new Error('Session name cannot be empty');
+    }
+    return { name: trimmed };
+  }
+
+  static setContext(session, context) {
+    return { context: context.trim() };
+  }
+
+  static removeTab(session, position) {
+    if (session.tabs.length <= 1) {
+      throw new Error('A session needs at least one tab. Delete the session instead.');
+    }
+    const order = session.tabs.map((_, i) => i).filter(i => i !== position);
+    return this.reorder(session, order);
+  }
+
+  // Move the tab at position so it sits before the tab currently at
+  // beforePosition (tabs.length moves it to the end)
+  static moveTab(session, position, beforePosition) {
+    const order = session.tabs.map((_, i) => i);
+    const [moved] = order.splice(position, 1);
+    order.splice(beforePosition > position ? beforePosition - 1 : beforePosition, 0, moved);
+    return this.reorder(session, order);
+  }
+
+  // Put a tab in the group at groupIndex, or in no group when it is null
+  static setTabGroup(session, position, groupIndex) {
+    const tabIndex = position + 1;
+    const tabGroups = (session.tabGroups || []).map((group, i) => {
+      const tabIndices = group.tabIndices.filter(idx => idx !== tabIndex);
+      if (i === groupIndex) {
+        tabIndices.push(tabIndex);
+        tabIndices.sort((a, b) => a - b);
+      }
+      return { ...group, tabIndices };
+    });
+    return { tabGroups };
+  }
+
+  static addGroup(session, name) {
+    const groups = session.tabGroups || [];
+    return { tabGroups: [...groups, { name: this.checkGroupName(groups, name), tabIndices: [] }] };
+  }
+
+  static renameGroup(session, groupIndex, name) {
+    const groups = session.tabGroups || [];
+    const others = groups.filter((_, i) => i !== groupIndex);
+    const checked = this.checkGroupName(others, name);
+    return {
+      tabGroups: groups.map((group, i) => i === groupIndex ? { ...group, name: checked } : group)
+    };
+  }
+
+  // Color and icon for the group's Firefox container; empty values go back
+  // to the defaults
+  static setGroupContainerStyle(session, groupIndex, { color, icon }) {
+    if (color && !CONTAINER_COLORS.includes(color)) {
+      throw new Error(`Unknown container color: ${color}`);
+    }
+    if (icon && !CONTAINER_ICONS.includes(icon)) {
+      throw new Error(`Unknown container icon: ${icon}`);
+    }
+
+    return {
+      tabGroups: (session.tabGroups || []).map((group, i) => {
+        if (i !== groupIndex) return group;
+        const { containerColor, containerIcon, ...rest } = group;
+        return {
+          ...rest,
+          ...(color ? { containerColor: color } : {}),
+          ...(icon ? { containerIcon: icon } : {})
+        };
+      })
+    };
+  }
+
+  // The group's tabs stay in the session, just ungrouped
+  static deleteGroup(session, groupIndex) {
+    return { tabGroups: (session.tabGroups || []).filter((_, i) => i !== groupIndex) };
+  }
+
+  // Same rules the AI's groups are validated against
+  static checkGroupName(otherGroups, name) {
+    const trimmed = name.replace(/\s+/g, ' ').trim();
+    if (!trimmed) {
+      throw new Error('Group name cannot be empty');
+    }
+    if (trimmed.length > MAX_GROUP_NAME_LENGTH) {
+      throw new Error(`Group names can be at most ${MAX_GROUP_NAME_LENGTH} characters`);
+    }
+    if (otherGroups.some(group => group.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(`There is already a group called "${trimmed}"`);
+    }
+    return trimmed;
+  }
+
+  // Rebuild tabs from a list of old positions in their new order, remapping
+  // group tabIndices and dropping tabs that aren't in the list
+  static reorder(session, order) {
+    const newIndex = new Map(order.map((oldPosition, i) => [oldPosition + 1, i + 1]));
+    const tabs = order.map(oldPosition => session.tabs[oldPosition]);
+
+    const tabGroups = (session.tabGroups || []).map(group => ({
+      ...group,
+      tabIndices: group.tabIndices
+        .filter(idx => newIndex.has(idx))
+        .map(idx => newIndex.get(idx))
+        .sort((a, b) => a - b)
+    }));
+
+    return { ...this.normalizeWindows(tabs, session.windows), tabGroups };
+  }
+
+  // Drop windows that lost all their tabs and renumber windowIndex to match
+  static normalizeWindows(tabs, windows = []) {
+    const used = [...new Set(tabs.map(tab => tab.windowIndex || 0))].sort((a, b) => a - b);
+    const newWindowIndex = new Map(used.map((oldIndex, i) => [oldIndex, i]));
+
+    const renumbered = tabs.map(tab => ({ ...tab, windowIndex: newWindowIndex.get(tab.windowIndex || 0) }));
+    const keptWindows = used.map((oldIndex, i) => ({
+      ...windows[oldIndex],
+      tabCount: renumbered.filter(tab => tab.windowIndex === i).length
+    }));
+
+    return {
+      tabs: renumbered,
+      windows: keptWindows,
+      tabCount: renumbered.length,
+      windowCount: Math.max(1, keptWindows.length)
+    };
+  }
+}
+
+// Make available in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionEditor;
+}
@@ -0,0 +1,183 @@
+// Export sessions in formats other tools understand
+// Every exporter takes a list of full sessions and returns a string.
+
+const EXPORT_FORMATS = {
+  json: { label: 'JSON backup', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown outline', extension: 'md', mimeType: 'text/markdown' },
+  bookmarks: { label: 'Bookmarks HTML', extension: 'html', mimeType: 'text/html' },
+  csv: { label: 'CSV (one row per tab)', extension: 'csv', mimeType: 'text/csv' },
+  oneTab: { label: 'OneTab text', extension: 'txt', mimeType: 'text/plain' }
+};
+
+class SessionExporter {
+  // Returns { content, fileName, mimeType } ready to download
+  static export(format, sessions) {
+    const info = EXPORT_FORMATS[format];
+    if (!info) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const content = {
+      json: () => JSON.stringify(sessions, null, 2),
+      markdown: () => this.toMarkdown(sessions),
+      bookmarks: () => this.toBookmarksHtml(sessions),
+      csv: () => this.toCsv(sessions),
+      oneTab: () => this.toOneTab(sessions)
+    }[format]();
+
+    return {
+      content,
+      fileName: `tab-sessions-${Date.now()}.${info.extension}`,
+      mimeType: info.mimeType
+    };
+  }
+
+  // Tabs split into the session's groups, plus the ones in no group.
+  // Returns [{ name, tabs }] where name is null for ungrouped tabs.
+  static getSections(session) {
+    const tabs = session.tabs || [];
+    const sections = [];
+    const grouped = new Set();
+
+    (session.tabGroups || []).forEach(group => {
+      const groupTabs = group.tabIndices.map(idx => tabs[idx - 1]).filter(Boolean);
+      group.tabIndices.forEach(idx => grouped.add(idx));
+      if (groupTabs.length > 0) {
+        sections.push({ name: group.name, tabs: groupTabs });
+      }
+    });
+
+    const ungrouped = tabs.filter((_, i) => !grouped.has(i + 1));
+    if (ungrouped.length > 0) {
+      sections.push({ name: null, tabs: ungrouped });
+    }
+
+    return sections;
+  }
+
+  // Session -> groups -> linked tabs, with the AI context as a quoted summary
+  static toMarkdown(sessions) {
+    return sessions.map(session => {
+      const lines = [`## ${session.name}`, ''];
+      const date = new Date(session.timestamp).toLocaleString();
+      const tabCount = session.tabCount || session.tabs.length;
+      lines.push(`*Saved ${date} · ${tabCount} tab${tabCount === 1 ? '' : 's'}*`, '');
+
+      if (session.context) {
+        lines.push(...session.context.split('\n').map(line => `> ${line}`), '');
+      }
+
+      for (const section of this.getSections(session)) {
+        if (section.name) {
+          lines.push(`### ${section.name}`, '');
+        } else if (session.tabGroups && session.tabGroups.length > 0) {
+          lines.push('### Other tabs', '');
+        }
+        lines.push(...section.tabs.map(tab => `- ${this.markdownLink(tab)}`), '');
+      }
+
+      return lines.join('\n');
+    }).join('\n');
+  }
+
+  static markdownLink(tab) {
+    const title = (tab.title || tab.url).replace(/([\\[\]])/g, '\\$1');
+    const url = tab.url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+    return `[${title}](${url})`;
+  }
+
+  // Netscape bookmarks: one folder per session, a subfolder per tab group
+  static toBookmarksHtml(sessions) {
+    const link = (tab, indent) =>
+      `${indent}<DT><A HREF="${this.escapeHtml(tab.url)}">${this.escapeHtml(tab.title || tab.url)}</A>`;
+
+    const folders = sessions.map(session => {
+      const addDate = Math.floor((session.timestamp || Date.now()) / 1000);
+      const lines = [
+        `    <DT><H3 ADD_DATE="${addDate}">${this.escapeHtml(session.name)}</H3>`,
+        '    <DL><p>'
+      ];
+
+      for (const section of this.getSections(session)) {
+        if (section.name) {
+          lines.push(`        <DT><H3>${this.escapeHtml(section.name)}</H3>`, '        <DL><p>');
+          lines.push(...section.tabs.map(tab => link(tab, '            ')));
+          lines.push('        </DL><p>');
+        } else {
+          lines.push(...section.tabs.map(tab => link(tab, '        ')));
+        }
+      }
+
+      lines.push('    </DL><p>');
+      return lines.join('\n');
+    });
+
+    return [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Bookmarks</H1>',
+      '<DL><p>',
+      ...folders,
+      '</DL><p>',
+      ''
+    ].join('\n');
+  }
+
+  // One row per tab
+  static toCsv(sessions) {
+    const rows = [['Session', 'Saved', 'Group', 'Window', 'Title', 'URL']];
+
+    for (const session of sessions) {
+      const saved = new Date(session.timestamp).toISOString();
+      const groupByTab = new Map();
+      (session.tabGroups || []).forEach(group => {
+        group.tabIndices.forEach(idx => groupByTab.set(idx, group.name));
+      });
+
+      (session.tabs || []).forEach((tab, i) => {
+        rows.push([
+          session.name,
+          saved,
+          groupByTab.get(i + 1) || '',
+          (tab.windowIndex || 0) + 1,
+          tab.title || '',
+          tab.url
+        ]);
+      });
+    }
+
+    return rows.map(row => row.map(cell => this.csvCell(cell)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  static csvCell(value) {
+    let text = String(value);
+    // Keep spreadsheets from evaluating titles as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // OneTab's import format: "url | title" lines, a blank line between sessions
+  static toOneTab(sessions) {
+    return sessions
+      .map(session => (session.tabs || [])
+        .map(tab => `${tab.url} | ${(tab.title || tab.url).replace(/\s+/g, ' ')}`)
+        .join('\n'))
+      .join('\n\n') + '\n';
+  }
+
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Make available in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SessionExporter, EXPORT_FORMATS };
+}
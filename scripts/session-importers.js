@@ -0,0 +1,271 @@
+// Importers for other tab managers' export files
+//
+// Each parser turns a file into plain session records, which then go
+// through DataSchema.prepareImport like this extension's own backups. Ids are
+// derived from the content, so importing the same file twice is detected as
+// a duplicate instead of creating copies.
+
+const IMPORT_FORMATS = {
+  native: 'AI Tab Session Manager backup',
+  oneTab: 'OneTab export',
+  sessionBuddy: 'Session Buddy backup',
+  tabSessionManager: 'Tab Session Manager backup',
+  bookmarks: 'Bookmarks HTML'
+};
+
+class SessionImporter {
+  // Returns { format, records } or throws with a message for the user
+  static parse(text, fileName = '') {
+    const trimmed = text.trim();
+
+    if (/^<!DOCTYPE NETSCAPE-Bookmark-file-1>/i.test(trimmed) || /\.html?$/i.test(fileName)) {
+      return { format: 'bookmarks', records: this.parseBookmarksHtml(trimmed) };
+    }
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      let data;
+      try {
+        data = JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+      }
+      const format = this.detectJsonFormat(data);
+      return { format, records: this.parseJson(format, data) };
+    }
+
+    if (trimmed.split('\n').some(line => /^[a-z][a-z0-9+.-]*:\S*\s\|\s?/i.test(line.trim()))) {
+      return { format: 'oneTab', records: this.parseOneTab(trimmed) };
+    }
+
+    throw new Error('Unrecognized file format');
+  }
+
+  static detectJsonFormat(data) {
+    if (Array.isArray(data)) {
+      // Tab Session Manager keys windows by id: { windowId: { tabId: tab } }
+      const first = data[0];
+      if (first && first.windows && !Array.isArray(first.windows) && typeof first.windows === 'object') {
+        return 'tabSessionManager';
+      }
+      return 'native';
+    }
+
+    if (data && (Array.isArray(data.sessions) || Array.isArray(data.collections))) {
+      return 'sessionBuddy';
+    }
+
+    throw new Error('Unrecognized JSON backup format');
+  }
+
+  static parseJson(format, data) {
+    switch (format) {
+      case 'tabSessionManager': return this.parseTabSessionManager(data);
+      case 'sessionBuddy': return this.parseSessionBuddy(data);
+      default: return data;
+    }
+  }
+
+  // OneTab: one "url | title" per line, groups separated by blank lines
+  static parseOneTab(text) {
+    const groups = text.split(/\r?\n\s*\r?\n/)
+      .map(block => block.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+          const separator = line.indexOf(' | ');
+          return separator === -1
+            ? { url: line, title: line }
+            : { url: line.slice(0, separator).trim(), title: line.slice(separator + 3).trim() };
+        }))
+      .filter(tabs => tabs.length > 0);
+
+    return groups.map((tabs, i) =>
+      this.createRecord('oneTab', `OneTab group ${i + 1}`, [tabs]));
+  }
+
+  // Session Buddy 3 backups hold sessions of windows of tabs; version 4
+  // holds collections of folders of links
+  static parseSessionBuddy(data) {
+    if (Array.isArray(data.collections)) {
+      return data.collections.map((collection, i) => this.createRecord(
+        'sessionBuddy',
+        collection.title || `Session Buddy collection ${i + 1}`,
+        (collection.folders || []).map(folder => folder.links || []),
+        { timestamp: collection.created }
+      ));
+    }
+
+    return data.sessions
+      .filter(session => session.type !== 'current')
+      .map((session, i) => this.createRecord(
+        'sessionBuddy',
+        session.name || `Session Buddy session ${i + 1}`,
+        (session.windows || []).map(window => window.tabs || []),
+        { timestamp: session.created || session.generated }
+      ));
+  }
+
+  // Tab Session Manager: [{ name, date, windows: { windowId: { tabId: tab } } }]
+  static parseTabSessionManager(data) {
+    return data.map((session, i) => {
+      const windows = Object.values(session.windows || {}).map(windowTabs =>
+        Object.values(windowTabs).sort((a, b) => (a.index || 0) - (b.index || 0)));
+
+      return this.createRecord(
+        'tabSessionManager',
+        session.name || `Tab Session Manager session ${i + 1}`,
+        windows,
+        { timestamp: session.date }
+      );
+    });
+  }
+
+  // Netscape bookmarks: a folder with links of its own, or whose subfolders
+  // only hold links, becomes a session and its subfolders become tab groups;
+  // other folders are looked into instead. Links outside any folder make one
+  // extra session.
+  static parseBookmarksHtml(html) {
+    const root = this.parseBookmarkTree(html);
+    const records = [];
+
+    const visit = (folder) => {
+      const onlyLinksBelow = folder.folders.length > 0 &&
+        folder.folders.every(subfolder => subfolder.folders.length === 0);
+      if (folder.links.length > 0 || onlyLinksBelow) {
+        records.push(this.createBookmarkRecord(folder));
+      } else {
+        folder.folders.forEach(visit);
+      }
+    };
+    root.folders.forEach(visit);
+
+    if (root.links.length > 0) {
+      records.push(this.createBookmarkRecord({ ...root, title: 'Imported bookmarks', folders: [] }));
+    }
+
+    return records;
+  }
+
+  // Folder tree of { title, addDate, links, folders }
+  static parseBookmarkTree(html) {
+    const root = { title: '', addDate: null, links: [], folders: [] };
+    const stack = [root];
+    let pendingFolder = null;
+    const tokens = /<h3([^>]*)>([\s\S]*?)<\/h3>|<a\s([^>]*)>([\s\S]*?)<\/a>|<dl[^>]*>|<\/dl>/gi;
+
+    for (const match of html.matchAll(tokens)) {
+      const current = stack[stack.length - 1];
+      const tag = match[0].slice(0, 3).toLowerCase();
+
+      if (match[2] !== undefined) {
+        pendingFolder = {
+          title: this.decodeHtml(match[2].trim()),
+          addDate: this.getAttribute(match[1], 'add_date'),
+          links: [],
+          folders: []
+        };
+        current.folders.push(pendingFolder);
+      } else if (match[4] !== undefined) {
+        const url = this.getAttribute(match[3], 'href');
+        if (url) {
+          current.links.push({ url, title: this.decodeHtml(match[4].trim()) || url });
+        }
+      } else if (tag === '<dl') {
+        // The list right after a folder heading holds that folder's contents
+        stack.push(pendingFolder || current);
+        pendingFolder = null;
+      } else if (stack.length > 1) {
+        stack.pop();
+      }
+    }
+
+    return root;
+  }
+
+  static createBookmarkRecord(folder) {
+    const tabs = [...folder.links];
+    const tabGroups = [];
+
+    const collectLinks = (subfolder) => [
+      ...subfolder.links,
+      ...subfolder.folders.flatMap(collectLinks)
+    ];
+
+    folder.folders.forEach(subfolder => {
+      const links = collectLinks(subfolder);
+      if (links.length === 0) return;
+
+      const start = tabs.length;
+      tabs.push(...links);
+      tabGroups.push({
+        name: subfolder.title || 'Untitled folder',
+        tabIndices: links.map((_, i) => start + i + 1)
+      });
+    });
+
+    const addDate = parseInt(folder.addDate, 10);
+    return this.createRecord('bookmarks', folder.title || 'Imported bookmarks', [tabs], {
+      timestamp: addDate ? addDate * 1000 : undefined,
+      tabGroups
+    });
+  }
+
+  // Session record in the pre-versioning shape; DataSchema fills in window
+  // info and counts when it upgrades it
+  static createRecord(format, name, windows, extra = {}) {
+    const tabs = windows.flatMap((windowTabs, windowIndex) =>
+      windowTabs
+        .filter(tab => tab && tab.url)
+        .map(tab => ({
+          url: tab.url,
+          title: tab.title || tab.url,
+          favIconUrl: tab.favIconUrl || tab.favIconURL || undefined,
+          pinned: tab.pinned === true,
+          windowIndex
+        })));
+
+    const timestamp = typeof extra.timestamp === 'string'
+      ? Date.parse(extra.timestamp)
+      : extra.timestamp;
+
+    return {
+      ...extra,
+      id: `${format}-${this.hash(name + '\n' + tabs.map(tab => tab.url).join('\n'))}`,
+      name,
+      tabs,
+      timestamp: Number.isFinite(timestamp) ? timestamp : Date.now()
+    };
+  }
+
+  // Short stable hash (FNV-1a) used for content-derived ids
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  static getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, 'i'));
+    return match ? this.decodeHtml(match[1]) : null;
+  }
+
+  static decodeHtml(text) {
+    return text
+      .replace(/<[^>]*>/g, '')
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+}
+
+// Make available in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SessionImporter, IMPORT_FORMATS };
+}
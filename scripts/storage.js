@@ -1,61 +1,321 @@
 // Storage utility for managing sessions and embeddings
+//
+// Sessions are stored one per key ("session:<id>") next to a small index of
+// their metadata (everything except the tab and window lists), so listing
+// sessions or updating one never reads or rewrites all the others.
+//
+// Every write goes through the background page: other pages send their
+// writes there as messages, so one write chain orders all read-modify-write
+// cycles on the shared index keys.
+
+const SESSION_INDEX_KEY = 'sessionIndex';
+const SESSION_KEY_PREFIX = 'session:';
+// Single array of full sessions used before the per-session layout
+const LEGACY_SESSIONS_KEY = 'sessions';
+
+// Session fields left out of the metadata index
+const SESSION_DETAIL_FIELDS = ['tabs', 'windows'];
+
+// Session fields that feed the full-text search index
+const INDEXED_SESSION_FIELDS = ['name', 'context', 'tabGroups', 'tabs'];
+
+// Writes other pages may ask the background to run for them
+const REMOTE_WRITE_METHODS = [
+  'migrateLegacySessions',
+  'saveSessions',
+  'addSession',
+  'addSessions',
+  'updateSession',
+  'deleteSession',
+  'clearSessions'
+];
 
 class StorageService {
+  static getSessionKey(sessionId) {
+    return `${SESSION_KEY_PREFIX}${sessionId}`;
+  }
+
+  static toSummary(session) {
+    const summary = { ...session };
+    SESSION_DETAIL_FIELDS.forEach(field => delete summary[field]);
+    return summary;
+  }
+
+  // Run read-modify-write cycles one at a time so concurrent saves can't
+  // overwrite each other's changes. Only used in the background page.
+  static serialize(task) {
+    const run = this.writeChain.then(task);
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+
+  // Hand a write to the background page, which runs it on its write chain
+  static async remoteWrite(method, args) {
+    const response = await chrome.runtime.sendMessage({ action: 'storageWrite', method, args });
+    if (!response || response.error) {
+      throw new Error(response ? response.error : 'No response from the background page');
+    }
+    return response.result;
+  }
+
+  // Background side of remoteWrite
+  static applyRemoteWrite(method, args) {
+    if (!this.isWriter || !REMOTE_WRITE_METHODS.includes(method)) {
+      return Promise.reject(new Error(`Unknown storage write: ${method}`));
+    }
+    return this[method](...(args || []));
+  }
+
+  // Move sessions saved as one big array into the per-session layout. Runs
+  // once per context; later calls reuse the same promise.
+  static migrateLegacySessions() {
+    if (!this.migration && !this.isWriter) {
+      this.migration = this.remoteWrite('migrateLegacySessions', []);
+    }
+    if (!this.migration) {
+      this.migration = this.serialize(async () => {
+        const result = await chrome.storage.local.get([LEGACY_SESSIONS_KEY, SESSION_INDEX_KEY]);
+        const legacySessions = result[LEGACY_SESSIONS_KEY];
+        if (!Array.isArray(legacySessions)) {
+          return { migrated: 0 };
+        }
+
+        // Keep anything already written in the new layout
+        const summaries = result[SESSION_INDEX_KEY] || [];
+        const known = new Set(summaries.map(s => s.id));
+        const items = {};
+        for (const session of legacySessions) {
+          if (!known.has(session.id)) {
+            items[this.getSessionKey(session.id)] = session;
+            summaries.push(this.toSummary(session));
+            known.add(session.id);
+          }
+        }
+
+        items[SESSION_INDEX_KEY] = summaries;
+        await chrome.storage.local.set(items);
+        await chrome.storage.local.remove(LEGACY_SESSIONS_KEY);
+
+        console.log(`Migrated ${legacySessions.length} sessions to per-session storage`);
+        return { migrated: legacySessions.length };
+      });
+    }
+    return this.migration;
+  }
+
+  // Metadata for every session, newest first, without tabs or windows
+  static async getSessionIndex() {
+    await this.migrateLegacySessions();
+    return this.readIndex();
+  }
+
+  static async getSession(sessionId) {
+    await this.migrateLegacySessions();
+    const key = this.getSessionKey(sessionId);
+    const result = await chrome.storage.local.get([key]);
+    return result[key] || null;
+  }
+
+  // Every full session, in index order
   static async getSessions() {
-    const result = await chrome.storage.local.get(['sessions']);
-    return result.sessions || [];
+    await this.migrateLegacySessions();
+    return this.readSessions();
   }
 
+  // Full-text search index over every session, built on first use. Runs on
+  // the write chain so no write lands between reading the sessions and
+  // caching the index. Background page only.
+  static async getSearchIndex() {
+    await this.migrateLegacySessions();
+    return this.serialize(async () => SearchIndex.ensureBuilt(await this.readSessions()));
+  }
+
+  static async rebuildSearchIndex() {
+    await this.migrateLegacySessions();
+    return this.serialize(async () => SearchIndex.rebuild(await this.readSessions()));
+  }
+
+  // Replace all stored sessions with the given list
   static async saveSessions(sessions) {
-    await chrome.storage.local.set({ sessions });
+    if (!this.isWriter) {
+      return this.remoteWrite('saveSessions', [sessions]);
+    }
+    await this.migrateLegacySessions();
+    return this.serialize(async () => {
+      const keep = new Set(sessions.map(s => s.id));
+      const staleIds = (await this.readIndex())
+        .filter(s => !keep.has(s.id))
+        .map(s => s.id);
+      const staleKeys = staleIds.map(id => this.getSessionKey(id));
+
+      const items = { [SESSION_INDEX_KEY]: sessions.map(s => this.toSummary(s)) };
+      sessions.forEach(session => {
+        items[this.getSessionKey(session.id)] = session;
+      });
+
+      await chrome.storage.local.set(items);
+      if (staleKeys.length > 0) {
+        await chrome.storage.local.remove(staleKeys);
+      }
+      await SearchIndex.removeSessions(staleIds);
+      await SearchIndex.rebuild(sessions);
+    });
   }
 
   static async addSession(session) {
-    const sessions = await this.getSessions();
-    sessions.unshift(session);
-    await this.saveSessions(sessions);
+    if (!this.isWriter) {
+      return this.remoteWrite('addSession', [session]);
+    }
+    await this.migrateLegacySessions();
+    await this.serialize(async () => {
+      const summaries = await this.readIndex();
+      await chrome.storage.local.set({
+        [this.getSessionKey(session.id)]: session,
+        [SESSION_INDEX_KEY]: [this.toSummary(session), ...summaries.filter(s => s.id !== session.id)]
+      });
+      await SearchIndex.addSession(session);
+    });
     return session;
   }
 
-  static async updateSession(sessionId, updates) {
-    console.log('updateSession called with:', sessionId, updates);
-    const sessions = await this.getSessions();
-    const index = sessions.findIndex(s => s.id === sessionId);
+  // Append sessions (e.g. an import) after the existing ones, skipping any
+  // whose id is already stored. Returns the sessions that were added.
+  static async addSessions(sessions) {
+    if (!this.isWriter) {
+      return this.remoteWrite('addSessions', [sessions]);
+    }
+    await this.migrateLegacySessions();
+    return this.serialize(async () => {
+      const summaries = await this.readIndex();
+      const known = new Set(summaries.map(s => s.id));
+      const added = sessions.filter(session => !known.has(session.id));
+
+      const items = { [SESSION_INDEX_KEY]: [...summaries, ...added.map(s => this.toSummary(s))] };
+      added.forEach(session => {
+        items[this.getSessionKey(session.id)] = session;
+      });
+
+      await chrome.storage.local.set(items);
+      for (const session of added) {
+        await SearchIndex.addSession(session);
+      }
+      return added;
+    });
+  }
 
-    if (index === -1) {
-      throw new Error('Session not found');
+  static async updateSession(sessionId, updates) {
+    if (!this.isWriter) {
+      return this.remoteWrite('updateSession', [sessionId, updates]);
     }
+    await this.migrateLegacySessions();
+    return this.serialize(async () => {
+      const key = this.getSessionKey(sessionId);
+      const result = await chrome.storage.local.get([key, SESSION_INDEX_KEY]);
+      const session = result[key];
+
+      if (!session) {
+        throw new Error('Session not found');
+      }
 
-    console.log('Session before update:', sessions[index]);
-    sessions[index] = { ...sessions[index], ...updates };
-    console.log('Session after update:', sessions[index]);
-    console.log('Tab groups in updated session:', sessions[index].tabGroups);
+      const updated = { ...session, ...updates };
+      const summaries = (result[SESSION_INDEX_KEY] || [])
+        .map(s => s.id === sessionId ? this.toSummary(updated) : s);
 
-    await this.saveSessions(sessions);
+      await chrome.storage.local.set({ [key]: updated, [SESSION_INDEX_KEY]: summaries });
 
-    // Verify it was saved
-    const verifyResult = await this.getSessions();
-    const verifiedSession = verifyResult.find(s => s.id === sessionId);
-    console.log('Verified session from storage:', verifiedSession);
-    console.log('Verified tab groups:', verifiedSession?.tabGroups);
+      if (INDEXED_SESSION_FIELDS.some(field => field in updates)) {
+        await SearchIndex.addSession(updated);
+      }
 
-    return sessions[index];
+      return updated;
+    });
   }
 
   static async deleteSession(sessionId) {
-    const sessions = await this.getSessions();
-    const filtered = sessions.filter(s => s.id !== sessionId);
-    await this.saveSessions(filtered);
+    if (!this.isWriter) {
+      return this.remoteWrite('deleteSession', [sessionId]);
+    }
+    await this.migrateLegacySessions();
+    await this.serialize(async () => {
+      const summaries = await this.readIndex();
+      await chrome.storage.local.set({
+        [SESSION_INDEX_KEY]: summaries.filter(s => s.id !== sessionId)
+      });
+      await chrome.storage.local.remove(this.getSessionKey(sessionId));
+      await SearchIndex.removeSessions([sessionId]);
+    });
+
+    try {
+      await this.deleteEmbedding(sessionId);
+    } catch (error) {
+      console.warn('Failed to delete embedding:', error);
+    }
   }
 
+  // Remove every session along with the search index and embeddings
+  static async clearSessions() {
+    if (!this.isWriter) {
+      return this.remoteWrite('clearSessions', []);
+    }
+    await this.saveSessions([]);
+    await this.clearAllEmbeddings();
+  }
+
+  // Migration runner: upgrade stored settings and sessions written by older
+  // versions of the extension. Called once when the background starts.
+  static async upgradeStoredData() {
+    const result = await chrome.storage.local.get(['settings']);
+    if (result.settings) {
+      const { settings, upgraded } = DataSchema.migrateSettings(result.settings);
+      if (upgraded) {
+        await this.saveSettings(settings);
+      }
+    }
+
+    const summaries = await this.getSessionIndex();
+    const outdated = summaries.filter(s => (s.schemaVersion || 0) < SESSION_SCHEMA_VERSION);
+    let upgraded = 0;
+
+    for (const summary of outdated) {
+      const stored = await this.getSession(summary.id);
+      try {
+        const { session } = DataSchema.migrateSession(stored);
+        await this.updateSession(summary.id, session);
+        upgraded++;
+      } catch (error) {
+        // Keep the record as it is; the UI copes with missing fields
+        console.warn('Could not upgrade session:', summary.id, error);
+      }
+    }
+
+    if (upgraded > 0) {
+      console.log(`Upgraded ${upgraded} sessions to schema ${SESSION_SCHEMA_VERSION}`);
+    }
+    return { upgraded };
+  }
+
+  // Reads used inside serialized writes (no migration check, which would
+  // wait on the write chain it is already part of)
+  static async readIndex() {
+    const result = await chrome.storage.local.get([SESSION_INDEX_KEY]);
+    return result[SESSION_INDEX_KEY] || [];
+  }
+
+  static async readSessions() {
+    const summaries = await this.readIndex();
+    if (summaries.length === 0) {
+      return [];
+    }
+
+    const keys = summaries.map(s => this.getSessionKey(s.id));
+    const result = await chrome.storage.local.get(keys);
+    return keys.map(key => result[key]).filter(Boolean);
+  }
+
+  // Settings upgraded to the current schema (only persisted on startup)
   static async getSettings() {
     const result = await chrome.storage.local.get(['settings']);
-    return result.settings || {
-      aiProvider: 'anthropic',
-      model: 'claude-3-haiku-20240307',
-      searchSensitivity: 7,
-      autoContext: true
-    };
+    return DataSchema.migrateSettings(result.settings).settings;
   }
 
   static async saveSettings(settings) {
@@ -79,12 +339,13 @@ class StorageService {
     });
   }
 
-  static async saveEmbedding(sessionId, embedding) {
+  // model identifies which embedding model produced the vector
+  static async saveEmbedding(sessionId, embedding, model = null) {
     const db = await this.openEmbeddingsDB();
     return new Promise((resolve, reject) => {
       const transaction = db.transaction(['embeddings'], 'readwrite');
       const store = transaction.objectStore('embeddings');
-      const request = store.put({ sessionId, embedding, timestamp: Date.now() });
+      const request = store.put({ sessionId, embedding, model, timestamp: Date.now() });
 
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
@@ -142,6 +403,11 @@ class StorageService {
   }
 }
 
+// Tail of the serialized write chain; only the background page writes
+StorageService.writeChain = Promise.resolve();
+// Set by the background page
+StorageService.isWriter = false;
+
 // Make available in different contexts
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = StorageService;
@@ -0,0 +1,182 @@
+// Schema and validation for AI-generated tab groups
+// Groups use 1-based tabIndices into session.tabs.
+
+const MAX_GROUP_NAME_LENGTH = 40;
+const LEFTOVER_GROUP_NAME = 'Other';
+
+// Group colors, in the order groups are assigned them. These are Firefox
+// container colors; the detail page uses the same names for its CSS classes.
+const CONTAINER_COLORS = ['blue', 'orange', 'green', 'purple', 'red', 'yellow', 'pink', 'turquoise'];
+
+// Icons Firefox containers can have
+const CONTAINER_ICONS = [
+  'circle', 'fingerprint', 'briefcase', 'dollar', 'cart', 'gift', 'vacation',
+  'food', 'fruit', 'pet', 'tree', 'chill', 'fence'
+];
+
+// Chromium tab groups have no turquoise; cyan is the closest
+const NATIVE_GROUP_COLORS = {
+  blue: 'blue',
+  orange: 'orange',
+  green: 'green',
+  purple: 'purple',
+  red: 'red',
+  yellow: 'yellow',
+  pink: 'pink',
+  turquoise: 'cyan'
+};
+
+// JSON Schema sent to providers that support structured output. The root is
+// an object because tool inputs and OpenAI strict schemas must be objects.
+const TAB_GROUPS_SCHEMA = {
+  type: 'object',
+  properties: {
+    groups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Short topic name, 1-4 words' },
+          tabIndices: {
+            type: 'array',
+            items: { type: 'integer' },
+            description: '1-based numbers of the tabs in this group'
+          }
+        },
+        required: ['name', 'tabIndices'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['groups'],
+  additionalProperties: false
+};
+
+class TabGroupSchema {
+  // Check raw model output against the schema for a session with tabCount tabs.
+  // Returns { groups, errors }. When errors is empty, groups is normalized:
+  // names trimmed, every tab in exactly one group, and tabs the model left
+  // out collected into an "Other" group. maxGroups, if given, limits the
+  // group count including that "Other" group.
+  static validate(data, tabCount, { maxGroups = Infinity } = {}) {
+    const errors = [];
+    const rawGroups = Array.isArray(data) ? data : data && data.groups;
+
+    if (!Array.isArray(rawGroups)) {
+      return { groups: [], errors: ['Expected an object with a "groups" array'] };
+    }
+
+    const assigned = new Map(); // tab index -> group name
+    const names = new Set();
+    const groups = [];
+
+    rawGroups.forEach((group, i) => {
+      const label = `Group ${i + 1}`;
+
+      if (!group || typeof group !== 'object') {
+        errors.push(`${label} is not an object`);
+        return;
+      }
+
+      const name = typeof group.name === 'string' ? group.name.replace(/\s+/g, ' ').trim() : '';
+      if (!name) {
+        errors.push(`${label} has no name`);
+      } else if (name.length > MAX_GROUP_NAME_LENGTH) {
+        errors.push(`${label} name "${name}" is longer than ${MAX_GROUP_NAME_LENGTH} characters`);
+      } else if (names.has(name.toLowerCase())) {
+        errors.push(`Group name "${name}" is used more than once`);
+      }
+      names.add(name.toLowerCase());
+
+      if (!Array.isArray(group.tabIndices)) {
+        errors.push(`${label} has no tabIndices array`);
+        return;
+      }
+
+      const tabIndices = [];
+      for (const idx of group.tabIndices) {
+        if (!Number.isInteger(idx) || idx < 1 || idx > tabCount) {
+          errors.push(`${label} has invalid tab number ${JSON.stringify(idx)} (must be 1-${tabCount})`);
+        } else if (assigned.has(idx)) {
+          errors.push(`Tab ${idx} is in both "${assigned.get(idx)}" and "${name}"`);
+        } else {
+          assigned.set(idx, name);
+          tabIndices.push(idx);
+        }
+      }
+
+      if (tabIndices.length > 0) {
+        groups.push({ name, tabIndices });
+      }
+    });
+
+    if (errors.length > 0) {
+      return { groups: [], errors };
+    }
+
+    const complete = this.collectLeftovers(groups, tabCount);
+    if (complete.length > maxGroups) {
+      const leftoverNote = complete.length > groups.length
+        ? ` (including "${LEFTOVER_GROUP_NAME}" for tabs that were in no group)`
+        : '';
+      return {
+        groups: [],
+        errors: [`Got ${complete.length} groups${leftoverNote}, but at most ${maxGroups} are allowed`]
+      };
+    }
+
+    return { groups: complete, errors };
+  }
+
+  // Put every tab not in any group into "Other"
+  static collectLeftovers(groups, tabCount) {
+    const assigned = new Set(groups.flatMap(group => group.tabIndices));
+    const leftovers = [];
+    for (let idx = 1; idx <= tabCount; idx++) {
+      if (!assigned.has(idx)) {
+        leftovers.push(idx);
+      }
+    }
+
+    if (leftovers.length === 0) {
+      return groups;
+    }
+
+    const other = groups.find(group => group.name.toLowerCase() === LEFTOVER_GROUP_NAME.toLowerCase());
+    if (other) {
+      other.tabIndices = [...other.tabIndices, ...leftovers].sort((a, b) => a - b);
+      return groups;
+    }
+
+    return [...groups, { name: LEFTOVER_GROUP_NAME, tabIndices: leftovers }];
+  }
+
+  // Container color for the group at index. A color picked for the group
+  // wins; groups captured from native tab groups keep their own color.
+  static getGroupColor(group, index) {
+    if (group.containerColor) {
+      return group.containerColor;
+    }
+    if (group.color) {
+      const match = Object.keys(NATIVE_GROUP_COLORS).find(name => NATIVE_GROUP_COLORS[name] === group.color);
+      return match || group.color;
+    }
+    return CONTAINER_COLORS[index % CONTAINER_COLORS.length];
+  }
+
+  // Native tab group color for the group at index
+  static getNativeGroupColor(group, index) {
+    if (group.containerColor) {
+      return NATIVE_GROUP_COLORS[group.containerColor];
+    }
+    if (group.color && Object.values(NATIVE_GROUP_COLORS).concat('grey').includes(group.color)) {
+      return group.color;
+    }
+    return NATIVE_GROUP_COLORS[CONTAINER_COLORS[index % CONTAINER_COLORS.length]];
+  }
+}
+
+// Make available in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TabGroupSchema, TAB_GROUPS_SCHEMA, CONTAINER_COLORS, CONTAINER_ICONS, NATIVE_GROUP_COLORS };
+}